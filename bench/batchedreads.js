@@ -0,0 +1,78 @@
+// time loading a window of chunks from every track of a session, the way
+// `getAudioBuffer` did before batched reads (one readwrite transaction per
+// chunk) and the way it does now (one `getRecords` transaction per track).
+// runs in node against fake-indexeddb:
+//
+//   npm run bench
+
+import 'fake-indexeddb/auto';
+
+import DB from '../lib/db.js';
+
+global.self ??= global;
+
+console.info = () => {};
+
+const TRACKS = 12;
+const CHUNKS = 6;
+const RUNS   = 20;
+
+// one second of 44.1kHz stereo float32, stored the way `AudioStore` does
+function chunk( name, seconds ) {
+  const channels = [ 0, 1 ].map( () => new Float32Array( 44100 ).buffer );
+  return { id: `${ name }-${ seconds }`, name, rate: 44100, seconds, channels };
+}
+
+// how `DB#getRecord` used to read a chunk
+function getRecordReadwrite( db, storename, id ) {
+  return new Promise( ( resolve, reject ) => {
+    const transaction = db.db.transaction( storename, 'readwrite' );
+    const request     = transaction.objectStore( storename ).get( id );
+
+    request.onsuccess = () => resolve( request.result );
+    request.onerror = reject;
+  });
+}
+
+// median time of each way of loading, run alternately so neither gets
+// the warm caches
+async function time( ways ) {
+  const times = ways.map( () => [] );
+
+  for ( let i = 0; i < RUNS; ++i ) {
+    for ( const [ w, fn ] of ways.entries() ) {
+      const start = performance.now();
+      await fn();
+      times[ w ].push( performance.now() - start );
+    }
+  }
+
+  return times.map( list => list.sort( ( a, b ) => a - b )[ RUNS >> 1 ] );
+}
+
+const db     = await new DB().init();
+const tracks = Array.from( { length: TRACKS }, ( v, i ) => `stem${ i }` );
+const ids    = tracks.map( name => {
+  return Array.from( { length: CHUNKS }, ( v, i ) => `${ name }-${ i }` );
+});
+
+for ( const name of tracks ) {
+  const records = ids[ 0 ].map( ( id, i ) => chunk( name, i ) );
+  await db.saveRecords( 'chunks', records );
+}
+
+const perChunk = () => Promise.all( ids.map( async track => {
+  for ( const id of track ) {
+    await getRecordReadwrite( db, 'chunks', id );
+  }
+}) );
+
+const perTrack = () => Promise.all( ids.map( track => {
+  return db.getRecords( 'chunks', track );
+}) );
+
+const [ before, after ] = await time([ perChunk, perTrack ]);
+
+console.log( `${ TRACKS } tracks x ${ CHUNKS } chunks, median of ${ RUNS }` );
+console.log( `  a transaction per chunk: ${ before.toFixed( 1 ) }ms` );
+console.log( `  a transaction per track: ${ after.toFixed( 1 ) }ms` );
@@ -24,7 +24,8 @@ const urls = [
   'audio/1901_voxfx.mp3'
 ];
 
-const streamer = new StreamCoordinator( urls, store );
+// stems come from different sources, so level them out before the faders
+const streamer = new StreamCoordinator( urls, store, { normalize: -23 } );
 
 console.info = str => {
   requestAnimationFrame( () => {
@@ -38,8 +39,10 @@ console.info = str => {
 
 // initialize the database
 await store.init();
-// load all audio assets
-await streamer.load();
+// load all audio assets, carrying on without any that are missing
+const { failed } = await streamer.load({ partial: true });
+
+failed.forEach( ({ url }) => console.info( `skipping ${ url }` ) );
 // set up the player
 window.player = new Player( el, streamer );
 window.player.seek( 3 );
@@ -55,6 +58,7 @@ urls.forEach( ( url, i ) => {
   inp.min = 0;
   inp.max = 100;
   inp.value = 50;
+  inp.disabled = !streamer.streamers[ i ].ready;
 
   streamer.streamers[ i ].gain.gain.value = 0.5;
 
@@ -1,22 +1,90 @@
-import DB from './db.js';
+import DB         from './db.js';
+import ChunkCache from './chunkcache.js';
+import downmix    from './downmix.js';
+import PCMReader  from './pcmreader.js';
+import PeakBuilder from './peakbuilder.js';
+import resampler  from './resampler.js';
+import serializer from './serializer.js';
+import wavencoder from './wavencoder.js';
+
+import WorkerSerializer  from './workerserializer.js';
+import ChunkMissingError from './chunkmissingerror.js';
+import ChunkCorruptError from './chunkcorrupterror.js';
+
+// loudness meters are identified by number, unique across stores since
+// they can share the inline serializer
+let meters = 0;
+
+// chunk records a quick `verifyTrack` reads per transaction
+const VERIFY_BATCH = 16;
+
+/**
+ * wait for the next task, so a long job on the main thread lets rendering
+ * and audio callbacks in
+ *
+ * @return {Promise}
+ */
+
+function nextTask() {
+  return new Promise( resolve => setTimeout( resolve, 0 ) );
+}
 
 export default class AudioStore {
 
   /**
    * AudioStore constructor
    *
+   * options:
+   *   duration – chunk length in seconds for new tracks (5 by default).
+   *           each track remembers its own, so changing this doesn't affect
+   *           tracks that are already stored (see `rechunk`)
+   *   db    – storage backend (`DB`, `MemoryDB`, `OPFSDB` or anything with
+   *           the same methods), defaults to a new IndexedDB-backed `DB`
+   *   quota – storage budget in bytes. when a save would exceed it, the
+   *           least-recently-used tracks are evicted first
+   *   codec – chunk encoding for new tracks: `float32` (the default),
+   *           `int16` or `lossless`. see codecs.js
+   *   cacheSize – size in megabytes of an in-memory cache of decoded
+   *           chunks (0, the default, disables it). hit and miss counts
+   *           are available on `this.cache`
+   *   worker – encode and decode chunks in a Web Worker instead of on the
+   *           main thread
+   *   sampleRate – convert new tracks to this sample rate as they're
+   *           saved (`null`, the default, keeps the source rate)
+   *   undoLevels – number of region edits per track that can be undone
+   *           (10 by default). each one keeps a copy of the chunks it
+   *           replaced, which counts towards the quota
+   *
    * @method constructor
    *
-   * @param  {AudioContext} ac        – an AudioContext instance
+   * `ac` is only needed by `getAudioBuffer`. pass `null` to use the store
+   * without one (in a Worker, in Node, or for analysis) and read raw
+   * samples with `getChannelData` or `getSamples` instead.
+   *
+   * @param  {AudioContext} [ac]      – an AudioContext instance
    * @param  {Object}       [opts={}] – optional options object
    * @return {AudioStore}
    */
 
   constructor( ac, opts = {} ) {
-    Object.assign( this, { ac, db: new DB(), duration: 5 } );
+    const { db = new DB(), cacheSize = 0, worker = false } = opts;
+
+    Object.assign( this, { ac, db, duration: 5, quota: Infinity } );
+
+    this.cache      = new ChunkCache( cacheSize );
+    this.serializer = worker ? new WorkerSerializer() : serializer;
+
+    // last read time of each track read this session. reads only save it to
+    // the metadata now and then, so this is the up to date copy
+    this.accessed   = new Map();
+
+    this.codec      = 'float32';
+    this.sampleRate = null;
+    this.undoLevels = 10;
 
     // mobile Safari throws up when saving blobs to indexeddb :(
-    this.blobs = !/iP(ad|hone|pd)/.test( navigator.userAgent );
+    const ua = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+    this.blobs = !/iP(ad|hone|pd)/.test( ua );
 
     Object.assign( this, opts );
   }
@@ -35,69 +103,193 @@ export default class AudioStore {
   }
 
   /**
-   * get a chunk from the given file name and the given offset
+   * get the chunk duration a track was saved with
+   *
+   * tracks saved before it was recorded used the store-wide setting
    *
-   * @private getChunk
+   * @private chunkDuration
    *
-   * @param  {String}  name    – file name
-   * @param  {String}  seconds – chunk offset in seconds
-   * @return {Promise}         – resolves with a chunk record
+   * @param  {Object} metadata – track metadata
+   * @return {Number}          – chunk duration in seconds
    */
 
-  async #getChunk( name, seconds ) {
-    if ( seconds % this.duration !== 0 ) {
-      const msg = `${ seconds } is not divisible by ${ this.duration }`;
-      throw new Error( msg );
-    }
+  #chunkDuration( metadata ) {
+    return metadata.chunkDuration || this.duration;
+  }
 
-    const id    = `${ name }-${ seconds }`;
-    const chunk = await this.db.getRecord( 'chunks', id );
+  /**
+   * get the number of samples in each of a track's chunks (the last one
+   * may be shorter)
+   *
+   * @private chunkSize
+   *
+   * @param  {Object} metadata – track metadata
+   * @return {Number}          – chunk size in samples
+   */
 
-    return this.#parseChunk( chunk );
+  #chunkSize( metadata ) {
+    return Math.round( metadata.rate * this.#chunkDuration( metadata ) );
   }
 
   /**
-   * read a chunk and replace blobs with Float32Arrays
+   * get the prefix of a track's chunk and peak page ids. saving over a
+   * stored track writes the new version under the next generation, next to
+   * the old one, so a single metadata write switches between them. tracks
+   * saved before generations existed have none
    *
-   * @private parseChunk
+   * @private recordKey
    *
-   * @param  {Object} chunk – chunk record
-   * @return {Object}       – transformed chunk record
+   * @param  {Object} metadata – track metadata
+   * @return {String}          – id prefix
    */
 
-  async #parseChunk( chunk ) {
-    return new Promise( ( resolve, reject ) => {
-      if ( !this.blobs ) {
-        chunk.channels = chunk.channels.map( channel => {
-          return this.#stringToFloat32Array( channel );
-        });
-        resolve( chunk );
-      } else {
-        const channels = [];
+  #recordKey({ name, generation }) {
+    return generation ? `${ name }#${ generation }` : name;
+  }
+
+  /**
+   * get the id of a track's `index`th chunk
+   *
+   * @private chunkId
+   *
+   * @param  {Object} metadata – track metadata
+   * @param  {Number} index    – chunk index
+   * @return {String}          – chunk id
+   */
 
-        let count = 0;
+  #chunkId( metadata, index ) {
+    const seconds = index * this.#chunkDuration( metadata );
+    return `${ this.#recordKey( metadata ) }-${ seconds }`;
+  }
 
-        for ( let i = 0; i < chunk.channels.length; ++i ) {
-          const reader = new FileReader();
+  /**
+   * get chunks from the given file name at the given indexes, reading
+   * any that aren't cached in a single transaction
+   *
+   * only the channels in `channels` are decoded. the others are left
+   * `undefined` in each record's `channels` array. rejects with a
+   * `ChunkMissingError` or `ChunkCorruptError` if a chunk can't be read.
+   *
+   * @private getChunks
+   *
+   * @param  {Object}  metadata   – track metadata
+   * @param  {Array}   indexes    – chunk indexes
+   * @param  {Array}   [channels] – channel indexes (defaults to all)
+   * @return {Promise}            – resolves with an array of chunk records
+   */
 
-          reader.onload = function() {
-            channels[ i ] = new Float32Array( this.result );
+  async #getChunks( metadata, indexes, channels ) {
+    channels = channels || this.#channelList( metadata );
 
-            if ( ++count === chunk.channels.length ) {
-              chunk.channels = channels;
-              resolve( chunk );
-            }
-          };
+    const ids     = indexes.map( i => this.#chunkId( metadata, i ) );
+    const cached  = ids.map( id => this.cache.get( id ) );
+    const ready   = chunk => {
+      return chunk && channels.every( i => chunk.channels[ i ] );
+    };
+    const missing = ids.filter( ( id, i ) => !ready( cached[ i ] ) );
 
-          reader.onerror = reject;
+    if ( !missing.length ) {
+      return cached;
+    }
 
-          reader.readAsArrayBuffer( chunk.channels[ i ] );
-        }
+    const records = await this.db.getRecords( 'chunks', missing );
+    const parsed  = await Promise.all( records.map( ( chunk, i ) => {
+      if ( !chunk ) {
+        throw new ChunkMissingError( missing[ i ] );
+      }
 
+      const previous = cached[ ids.indexOf( chunk.id ) ];
+      return this.#parseChunk( chunk, metadata, channels, previous );
+    }) );
+
+    parsed.forEach( ( chunk, i ) => this.cache.set( missing[ i ], chunk ) );
+
+    return cached.map( chunk => ready( chunk ) ? chunk : parsed.shift() );
+  }
+
+  /**
+   * check that a chunk record has everything it's supposed to
+   *
+   * @private checkChunk
+   *
+   * @param  {Object} chunk    – chunk record
+   * @param  {Object} metadata – track metadata
+   * @return {Undefined}
+   */
+
+  #checkChunk( chunk, metadata ) {
+    const { channels, checksums, sizes } = chunk;
+
+    if ( !Array.isArray( channels ) ) {
+      throw new ChunkCorruptError( chunk.id, 'no channel data' );
+    }
+
+    if ( channels.length !== metadata.channels ) {
+      const msg = `expected ${ metadata.channels } channels, ` +
+        `got ${ channels.length }`;
+      throw new ChunkCorruptError( chunk.id, msg );
+    }
+
+    if ( checksums && checksums.length !== channels.length ) {
+      throw new ChunkCorruptError( chunk.id, 'wrong number of checksums' );
+    }
+
+    // chunks saved before sizes were recorded can only be checked by
+    // decoding them
+    channels.forEach( ( channel, i ) => {
+      // strings are utf-16, so 2 bytes per character
+      const size = typeof channel === 'string' ?
+        channel.length * 2 :
+        channel?.size;
+
+      if ( sizes && size !== sizes[ i ] ) {
+        const msg = `channel ${ i } is ${ size } bytes, not ${ sizes[ i ] }`;
+        throw new ChunkCorruptError( chunk.id, msg );
       }
     });
   }
 
+  /**
+   * read a chunk and replace blobs (or strings) with Float32Arrays,
+   * decoding only the channels in `channels`
+   *
+   * @private parseChunk
+   *
+   * @param  {Object} chunk      – chunk record
+   * @param  {Object} metadata   – track metadata
+   * @param  {Array}  channels   – channel indexes to decode
+   * @param  {Object} [previous] – cached, partly decoded copy of the chunk
+   * @return {Object}            – transformed chunk record
+   */
+
+  async #parseChunk( chunk, metadata, channels, previous ) {
+    this.#checkChunk( chunk, metadata );
+
+    // tracks saved before codecs existed are raw float32
+    const codec   = metadata.codec || 'float32';
+    const decoded = previous ? previous.channels : [];
+    const needed  = channels.filter( i => !decoded[ i ] );
+    const encoded = needed.map( i => chunk.channels[ i ] );
+    const sums    = chunk.checksums && needed.map( i => chunk.checksums[ i ] );
+
+    let data;
+
+    try {
+      data = await this.serializer.decode( encoded, codec, sums );
+    } catch ( err ) {
+      throw new ChunkCorruptError( chunk.id, err.message );
+    }
+
+    if ( data.some( f32 => f32.length !== chunk.length ) ) {
+      throw new ChunkCorruptError( chunk.id, 'truncated channel data' );
+    }
+
+    chunk.channels = chunk.channels.map( ( v, i ) => decoded[ i ] );
+    needed.forEach( ( ch, j ) => chunk.channels[ ch ] = data[ j ] );
+
+    return chunk;
+  }
+
   /**
    * save a metadata object
    *
@@ -111,6 +303,29 @@ export default class AudioStore {
     return this.db.saveRecords( 'metadata', [ record ] );
   }
 
+  /**
+   * set some fields of a track's stored metadata, keeping the rest as it
+   * is now rather than as it was when `metadata` was read. does nothing if
+   * the track has since been deleted or saved over
+   *
+   * @private updateMetadata
+   *
+   * @param  {Object}  metadata – track metadata the fields were worked
+   *                              out from
+   * @param  {Object}  fields   – fields to set
+   * @return {Promise}          – resolves with `true`
+   */
+
+  async #updateMetadata( metadata, fields ) {
+    const current = await this.getMetadata( metadata.name );
+
+    if ( !current || current.generation !== metadata.generation ) {
+      return true;
+    }
+
+    return this.#saveMetadata( Object.assign( current, fields ) );
+  }
+
   /**
    * save an array of chunk data
    *
@@ -125,158 +340,269 @@ export default class AudioStore {
   }
 
   /**
-   * convert an AudioBuffer to a metadata object
+   * get the ids of every chunk belonging to a track
    *
-   * @private audioBufferToMetadata
+   * @private chunkIds
    *
-   * @param  {String}       name – track name
-   * @param  {AudioBuffer}  ab   – AudioBuffer instance
-   * @return {Object}            – metadata object
+   * @param  {Object} metadata – metadata record
+   * @return {Array}           – array of chunk ids
    */
 
-  #audioBufferToMetadata( name, ab ) {
-    const channels = ab.numberOfChannels;
-    const rate     = ab.sampleRate;
-    const duration = ab.duration;
-    const chunks   = Math.ceil( duration / this.duration );
-    return { name, channels, rate, duration, chunks };
+  #chunkIds( metadata ) {
+    const ids = [];
+
+    for ( let i = 0; i < metadata.chunks; ++i ) {
+      ids.push( this.#chunkId( metadata, i ) );
+    }
+
+    return ids;
   }
 
   /**
-   * convert an AudioBuffer to an array of chunk objects
+   * get the number of bytes used by an array of chunk records
    *
-   * @private audioBufferToRecords
+   * @private chunkBytes
    *
-   * @param  {String}       name – track name
-   * @param  {AudioBuffer}  ab   – AudioBuffer instance
-   * @return {Array}             – array of chunk objects
+   * @param  {Array}  records – array of chunk records
+   * @return {Number}         – size in bytes
    */
 
-  #audioBufferToRecords( name, ab ) {
-    const channels    = ab.numberOfChannels;
-    const rate        = ab.sampleRate;
-    const chunk       = rate * this.duration;
-    const samples     = ab.duration * rate;
-    const records     = [];
-    const channelData = [];
+  #chunkBytes( records ) {
+    return records.reduce( ( total, record ) => {
+      return record.channels.reduce( ( sum, channel ) => {
+        // strings are utf-16, so 2 bytes per character
+        return sum + ( this.blobs ? channel.size : channel.length * 2 );
+      }, total );
+    }, 0 );
+  }
 
-    for ( let i = 0; i < channels; ++i ) {
-      channelData.push( ab.getChannelData( i ) );
+  /**
+   * get the number of bytes used by a track
+   *
+   * this includes chunks kept for undo. tracks saved before sizes were
+   * recorded are estimated from their duration, assuming 32-bit samples
+   *
+   * @private trackBytes
+   *
+   * @param  {Object} metadata – metadata record
+   * @return {Number}          – size in bytes
+   */
+
+  #trackBytes( metadata ) {
+    if ( typeof metadata.bytes === 'number' ) {
+      const history = metadata.history || [];
+      return history.reduce( ( a, b ) => a + b.bytes, metadata.bytes );
     }
 
-    for ( let offset = 0; offset < samples; offset += chunk ) {
-      const length  = Math.min( chunk, samples - offset );
-      const seconds = offset / ab.sampleRate;
-      const id      = `${ name }-${ seconds }`;
-      const record  = { id, name, rate, seconds, length };
+    const samples = Math.ceil( metadata.duration * metadata.rate );
 
-      record.channels = channelData.map( data => {
-        // 4 bytes per 32-bit float...
-        const byteOffset = offset * 4;
-        const buffer     = new Float32Array( data.buffer, byteOffset, length );
+    return samples * metadata.channels * 4;
+  }
 
-        if ( !this.blobs ) {
-          return this.#float32ArrayToString( buffer );
-        } else {
-          return new Blob([ buffer ]);
-        }
-      });
+  /**
+   * get every metadata record except `name`, least-recently-used first
+   *
+   * @private evictionCandidates
+   *
+   * @param  {String}  name – track name to exclude
+   * @return {Promise}      – resolves with an array of metadata records
+   */
 
-      records.push( record );
-    }
+  async #evictionCandidates( name ) {
+    const records = await this.db.getAllRecords('metadata');
 
-    return records;
+    return records
+    .filter( record => record.name !== name )
+    .sort( ( a, b ) => this.#lastAccess( a ) - this.#lastAccess( b ) );
   }
 
   /**
-   * merge an array of chunk records into an audiobuffer
+   * get the time a track was last read (or saved)
    *
-   * @private mergeChunks
+   * @private lastAccess
    *
-   * @param  {Array}       chunks   – array of chunk records
-   * @param  {Object}      metadata – metadata record
-   * @param  {Number}      start    – start offset in samples
-   * @param  {Number}      end      – end offset in samples
-   * @return {AudioBuffer}
+   * @param  {Object} metadata – metadata record
+   * @return {Number}          – timestamp in milliseconds
    */
 
-  #mergeChunks( chunks, metadata, start, end ) {
-    const merged  = [];
-    const length  = chunks.reduce( ( a, b ) => a + b.length, 0 );
-    const samples = end - start;
-    const rate    = metadata.rate;
+  #lastAccess( metadata ) {
+    const recent = this.accessed.get( metadata.name ) || 0;
+    return Math.max( metadata.accessed || 0, recent );
+  }
 
-    for ( let i = 0; i < metadata.channels; ++i ) {
-      merged[ i ] = new Float32Array( length );
-    }
+  /**
+   * evict least-recently-used tracks until `bytes` more will fit
+   * within `this.quota`
+   *
+   * @private makeRoom
+   *
+   * @param  {String}  name  – track name being saved (never evicted)
+   * @param  {Number}  bytes – size of the track being saved
+   * @return {Promise}       – resolves with `true`
+   */
 
-    for ( let i = 0, index = 0; i < chunks.length; ++i ) {
-      merged.forEach( ( channel, j ) => {
-        merged[ j ].set( chunks[ i ].channels[ j ], index );
-      });
-      index += chunks[ i ].length;
+  async #makeRoom( name, bytes ) {
+    if ( this.quota === Infinity ) {
+      return true;
     }
 
-    const channels = merged.map( f32 => f32.subarray( start, end ) );
-    const ab       = this.ac.createBuffer( channels.length, samples, rate );
+    const candidates = await this.#evictionCandidates( name );
 
-    channels.forEach( ( f32, i ) => ab.getChannelData( i ).set( f32 ) );
+    let total = candidates.reduce( ( a, b ) => a + this.#trackBytes( b ), 0 );
 
-    return ab;
+    while ( total + bytes > this.quota && candidates.length ) {
+      const metadata = candidates.shift();
+      total -= this.#trackBytes( metadata );
+      await this.deleteTrack( metadata.name );
+    }
+
+    return true;
   }
 
   /**
-   * convert a Float32Array to a utf-16 String
+   * run a save, evicting least-recently-used tracks and retrying
+   * whenever the browser reports that storage is full
    *
-   * @private float32ArrayToString
+   * @private saveWithEviction
    *
-   * @param  {Float32Array} f32 – audio data
-   * @return {String}           – encoded audio data
+   * @param  {String}   name – track name being saved (never evicted)
+   * @param  {Function} save – function returning a save Promise
+   * @return {Promise}       – resolves with the result of `save`
    */
 
-  #float32ArrayToString( f32 ) {
-    const { byteOffset, byteLength } = f32;
+  async #saveWithEviction( name, save ) {
+    for ( ;; ) {
+      try {
+        return await save();
+      } catch ( err ) {
+        const error = err instanceof Event ? err.target.error : err;
+
+        if ( !error || error.name !== 'QuotaExceededError' ) {
+          throw err;
+        }
 
-    const i16 = new Uint16Array( f32.buffer, byteOffset, byteLength / 2 );
+        const [ lru ] = await this.#evictionCandidates( name );
 
-    // this is WAY faster when we can use it
-    if ( 'TextDecoder' in window ) {
-      const decoder = new TextDecoder('utf-16');
-      return decoder.decode( i16 );
-    }
+        if ( !lru ) {
+          throw error;
+        }
 
-    let str = '';
+        console.info( `storage full, evicting ${ lru.name }` );
 
-    // reduce string concatenations by getting values for a bunch of
-    // character codes at once. can't do 'em all in one shot though,
-    // because we'll blow out the call stack.
-    for ( let i = 0, len = i16.byteLength; i < len; i += 10000 ) {
-      const length = Math.min( i + 10000, len - i );
-      str += String.fromCharCode.apply( null, i16.subarray( i, length ) );
+        await this.deleteTrack( lru.name );
+      }
     }
+  }
+
+  /**
+   * encode channel data into a chunk record
+   *
+   * @private encodeChunk
+   *
+   * @param  {Object}  metadata    – track metadata
+   * @param  {Number}  index       – chunk index
+   * @param  {Array}   channelData – array of Float32Arrays, one per channel
+   * @return {Promise}             – resolves with a chunk record
+   */
 
-    return str;
+  async #encodeChunk( metadata, index, channelData ) {
+    const { name, rate, codec } = metadata;
+
+    const length  = channelData[ 0 ].length;
+    const id      = this.#chunkId( metadata, index );
+    const seconds = index * this.#chunkDuration( metadata );
+    const record  = { id, name, rate, seconds, length };
+
+    const { channels, checksums, sizes } = await this.serializer.encode(
+      channelData, codec, this.blobs
+    );
+
+    return Object.assign( record, { channels, checksums, sizes } );
   }
 
   /**
-   * convert a utf-16 string to a Float32Array
+   * split blocks of channel data into chunks and save them, updating
+   * `metadata.chunks` and `metadata.bytes` as they go
    *
-   * @private stringToFloat32Array
+   * @private writeChunks
    *
-   * @param  {String}       str – encoded audio data
-   * @return {Float32Array}     – decoded audio data
+   * @param  {Object}  metadata – track metadata
+   * @param  {Object}  blocks   – (async) iterable of channel data blocks
+   * @return {Promise}          – resolves with the number of samples written
    */
 
-  #stringToFloat32Array( str ) {
-    const i16 = new Uint16Array( str.length );
+  async #writeChunks( metadata, blocks ) {
+    const { name, channels } = metadata;
+
+    const size = this.#chunkSize( metadata );
+    const ids  = [];
 
-    for ( let i = 0, len = i16.length; i < len; ++i ) {
-      i16[ i ] = str.charCodeAt( i );
+    let pending = [];
+    let fill    = 0;
+    let samples = 0;
+
+    for ( let i = 0; i < channels; ++i ) {
+      pending.push( new Float32Array( size ) );
     }
 
-    const f32 = new Float32Array( i16.buffer );
+    const flush = async() => {
+      const data   = pending.map( f32 => f32.subarray( 0, fill ) );
+
+      // a worker takes the buffers, so carry on with new ones
+      pending = pending.map( () => new Float32Array( size ) );
+
+      const record = await this.#encodeChunk( metadata, metadata.chunks, data );
+      const bytes  = this.#chunkBytes([ record ]);
 
-    return f32;
+      await this.#makeRoom( name, metadata.bytes + bytes );
+      await this.#saveWithEviction( name, () => this.#saveChunks([ record ]) );
+
+      ids.push( record.id );
+      metadata.bytes += bytes;
+      metadata.chunks++;
+      fill = 0;
+    };
+
+    try {
+      for await ( const block of blocks ) {
+        const length = block.length ? block[ 0 ].length : 0;
+
+        if ( block.length !== channels ) {
+          const msg = `expected ${ channels } channels, got ${ block.length }`;
+          throw new Error( msg );
+        }
+
+        if ( block.some( data => data.length !== length ) ) {
+          throw new Error('all channels in a block must be the same length');
+        }
+
+        for ( let pos = 0; pos < length; ) {
+          const count = Math.min( size - fill, length - pos );
+
+          block.forEach( ( data, i ) => {
+            pending[ i ].set( data.subarray( pos, pos + count ), fill );
+          });
+
+          fill += count;
+          pos += count;
+          samples += count;
+
+          if ( fill === size ) {
+            await flush();
+          }
+        }
+      }
+
+      if ( fill ) {
+        await flush();
+      }
+    } catch ( err ) {
+      // clean up whatever made it in before the failure
+      await this.db.deleteRecords( 'chunks', ids );
+      throw err;
+    }
+
+    return samples;
   }
 
   /**
@@ -292,6 +618,180 @@ export default class AudioStore {
     return this.db.getRecord( 'metadata', name );
   }
 
+  /**
+   * record where a track came from, e.g. the url it was fetched from and
+   * the server's cache validators (see `Streamer#load`). kept as
+   * `metadata.source`
+   *
+   * @method setSource
+   *
+   * @param  {String}  name   – track name
+   * @param  {Object}  source – source details
+   * @return {Promise}        – resolves with the updated metadata record
+   */
+
+  async setSource( name, source ) {
+    const metadata = await this.#getTrack( name );
+
+    metadata.source = source;
+
+    await this.#saveMetadata( metadata );
+
+    return metadata;
+  }
+
+  /**
+   * get metadata for every stored track, ordered by name
+   *
+   * @method listTracks
+   *
+   * @return {Promise} – resolves with an array of metadata records
+   */
+
+  async listTracks() {
+    return this.db.getAllRecords('metadata');
+  }
+
+  /**
+   * get storage statistics for every stored track
+   *
+   * resolves with `{ bytes, quota, tracks }`, where `tracks` is an array of
+   * `{ name, duration, chunks, chunkDuration, codec, bytes, accessed }`.
+   * sizes of tracks saved before sizes were recorded are estimated.
+   *
+   * @method getStats
+   *
+   * @return {Promise} – resolves with a stats object
+   */
+
+  async getStats() {
+    const records = await this.listTracks();
+
+    const tracks = records.map( metadata => {
+      const { name, duration, chunks } = metadata;
+      const accessed = this.#lastAccess( metadata ) || undefined;
+      const chunkDuration = this.#chunkDuration( metadata );
+      const codec = metadata.codec || 'float32';
+      const bytes = this.#trackBytes( metadata );
+      return { name, duration, chunks, chunkDuration, codec, bytes, accessed };
+    });
+
+    const bytes = tracks.reduce( ( a, b ) => a + b.bytes, 0 );
+
+    return { bytes, quota: this.quota, tracks };
+  }
+
+  /**
+   * save a track from decoded PCM that arrives in pieces
+   *
+   * `blocks` is an iterable (or async iterable) of arrays of Float32Arrays,
+   * one per channel, all the same length. blocks can be any size. chunks
+   * are written as soon as they fill, so only about one chunk of audio is
+   * held in memory no matter how long the track is. waveform peaks and
+   * loudness are measured on the way through (see `getPeaks` and
+   * `getLoudness`). metadata is written last, so the track can't be read
+   * until it's complete. a track already stored as `name` is only replaced
+   * once the new one is all in, so it's still there if the save fails.
+   *
+   * if `opts.sampleRate` (or else `this.sampleRate`) is set, the audio is
+   * converted to that rate on the way in, and the original rate is kept as
+   * `sourceRate` in the metadata.
+   *
+   * @method ingest
+   *
+   * @param  {String}  name              – track name
+   * @param  {Object}  blocks            – (async) iterable of channel data
+   *                                       blocks
+   * @param  {Object}  format            – `{ rate, channels }`
+   * @param  {Object}  [opts={}]         – options
+   * @param  {Number}  [opts.sampleRate] – rate to store the track at
+   * @return {Promise}                   – resolves with the metadata record
+   */
+
+  async ingest( name, blocks, { rate, channels }, opts = {} ) {
+    const sourceRate = rate;
+    const target     = opts.sampleRate || this.sampleRate;
+
+    if ( target && target !== sourceRate ) {
+      const stream = { from: sourceRate, to: target, channels };
+
+      rate = target;
+      blocks = resampler.stream( blocks, stream );
+    }
+
+    // written alongside any old version, which is dropped once the new
+    // metadata is in
+    const old      = await this.getMetadata( name );
+    const metadata = {
+      name,
+      generation: ( old?.generation || 0 ) + 1,
+      channels,
+      rate,
+      chunks: 0,
+      chunkDuration: this.duration,
+      codec: this.codec,
+      bytes: 0
+    };
+
+    if ( rate !== sourceRate ) {
+      metadata.sourceRate = sourceRate;
+    }
+
+    const builder = new PeakBuilder( channels );
+    const meter   = await this.#startMeter( channels, rate );
+
+    let samples;
+
+    try {
+      const tee = this.#analyse( metadata, blocks, builder, meter );
+      samples = await this.#writeChunks( metadata, tee );
+    } catch ( err ) {
+      const ids = this.#peakIds( metadata, builder.layout );
+      await this.db.deleteRecords( 'peaks', ids );
+      await this.#finishMeter( meter ).catch( () => {} );
+      throw err;
+    }
+
+    metadata.duration = samples / rate;
+    metadata.accessed = Date.now();
+    metadata.peaks    = builder.layout;
+    metadata.loudness = await this.#finishMeter( meter );
+
+    await this.#saveWithEviction( name, () => this.#saveMetadata( metadata ) );
+
+    if ( old ) {
+      this.cache.invalidate( name );
+      await this.#dropRecords( old );
+    }
+
+    return metadata;
+  }
+
+  /**
+   * save an uncompressed WAV or AIFF file, streaming it straight into
+   * chunks without decoding the whole thing (or needing an AudioContext)
+   *
+   * @method ingestFile
+   *
+   * @param  {String}                          name      – track name
+   * @param  {ReadableStream|Blob|ArrayBuffer} source    – file contents
+   * @param  {Object}                          [opts={}] – `ingest` options
+   * @return {Promise}                                   – resolves with the
+   *                                                       metadata record
+   */
+
+  async ingestFile( name, source, opts = {} ) {
+    console.info( `ingesting ${ name }` );
+
+    const reader   = new PCMReader( source );
+    const format   = await reader.readFormat();
+    const metadata = await this.ingest( name, reader.blocks(), format, opts );
+
+    console.info( `ingested ${ name }` );
+
+    return metadata;
+  }
+
   /**
    * save an AudioBuffer to the database in chunks
    *
@@ -299,17 +799,24 @@ export default class AudioStore {
    *
    * @param  {String}      name – track name
    * @param  {AudioBuffer} ab   – AudioBuffer instance
-   * @return {Promise}          – resolves with `true`
+   * @return {Promise}          – resolves with the metadata record
    */
 
   async saveAudioBuffer( name, ab ) {
     console.info( `saving audiobuffer ${ name }` );
 
-    const chunks   = this.#audioBufferToRecords( name, ab );
-    const metadata = this.#audioBufferToMetadata( name, ab );
+    const channels    = ab.numberOfChannels;
+    const rate        = ab.sampleRate;
+    const channelData = [];
 
-    await this.#saveChunks( chunks );
-    await this.#saveMetadata( metadata );
+    for ( let i = 0; i < channels; ++i ) {
+      channelData.push( ab.getChannelData( i ) );
+    }
+
+    const metadata = await this.ingest( name, [ channelData ], {
+      rate,
+      channels
+    });
 
     console.info( `saved audiobuffer ${ name }` );
 
@@ -317,58 +824,1501 @@ export default class AudioStore {
   }
 
   /**
-   * get an AudioBuffer for the given track name
-   *
-   * this method will automatically stitch together multiple chunks
-   * if necessary, we well as perform any trimming needed for
-   * `offset` and `duration`.
+   * get metadata for the given track name, or throw if it doesn't exist
    *
-   * @method getAudioBuffer
+   * @private getTrack
    *
-   * @param  {String}       name          – track name
-   * @param  {Number}       [offset=0]    – offset in seconds
-   * @param  {Number}       [duration=10] – duration in seconds
-   * @return {Promise}                    – resolves with an AudioBuffer
+   * @param  {String}  name – track name
+   * @return {Promise}      – resolves with a metadata record
    */
 
-  async getAudioBuffer( name, offset = 0, duration = 10 ) {
-    const start = offset;
-    const end   = offset + duration;
-    const log   = `getting audiobuffer ${ name } @ ${ start }s-${ end }s`;
+  async #getTrack( name ) {
+    const metadata = await this.getMetadata( name );
 
-    console.info( log );
+    if ( !metadata ) {
+      throw new Error( `track ${ name } does not exist` );
+    }
 
-    const metadata = await this.getMetadata( name );
+    return metadata;
+  }
 
-    if ( offset + duration > metadata.duration ) {
-      const msg = `${ end } is beyond track duration ${ metadata.duration }`;
-      throw new Error( msg );
+  /**
+   * resolve a list of channel indexes, defaulting to every channel
+   *
+   * @private channelList
+   *
+   * @param  {Object} metadata   – metadata record
+   * @param  {Array}  [channels] – channel indexes
+   * @return {Array}             – channel indexes
+   */
+
+  #channelList( metadata, channels ) {
+    if ( !channels ) {
+      return Array.from( { length: metadata.channels }, ( v, i ) => i );
     }
 
-    const rate     = metadata.rate;
-    const seconds  = Math.floor( offset / this.duration ) * this.duration;
-    const samples  = Math.ceil( duration * rate );
-    const promises = [];
+    if ( !channels.length ) {
+      throw new Error('at least one channel is required');
+    }
 
-    offset -= seconds;
+    channels.forEach( i => {
+      if ( !Number.isInteger( i ) || i < 0 || i >= metadata.channels ) {
+        throw new Error( `${ metadata.name } has no channel ${ i }` );
+      }
+    });
 
-    const first = Math.floor( offset * rate );
-    const last  = first + samples;
+    return channels;
+  }
 
-    let sec = seconds;
+  /**
+   * resolve a channel map or downmix mode into a channel matrix (see
+   * downmix.js), defaulting to every channel unchanged
+   *
+   * @private channelMatrix
+   *
+   * @param  {Object}       metadata   – metadata record
+   * @param  {Array|String} [channels] – channel indexes or downmix mode
+   * @return {Array}                   – channel matrix
+   */
 
-    while ( sec - offset < seconds + duration ) {
-      promises.push( this.#getChunk( name, sec ) );
-      sec += this.duration;
+  #channelMatrix( metadata, channels ) {
+    if ( typeof channels !== 'string' ) {
+      channels = this.#channelList( metadata, channels );
     }
 
-    const chunks = await Promise.all( promises );
-    const ab     = this.#mergeChunks( chunks, metadata, first, last );
-    const msg    = `got audiobuffer ${ name } @ ${ start }s-${ end }s`;
+    return downmix.matrix( channels, metadata.channels );
+  }
 
-    console.info( msg );
+  /**
+   * read `length` samples starting at sample `first`, stitching together
+   * as many chunks as needed and mixing them through `matrix`. channels
+   * the matrix doesn't use are never decoded.
+   *
+   * @private readSamples
+   *
+   * @param  {Object}  metadata – metadata record
+   * @param  {Number}  first    – start offset in samples
+   * @param  {Number}  length   – number of samples
+   * @param  {Array}   matrix   – channel matrix
+   * @return {Promise}          – resolves with an array of Float32Arrays
+   */
+
+  async #readSamples( metadata, first, length, matrix ) {
+    // there may be no chunk at `first` (at the very end of the track)
+    if ( !length ) {
+      return matrix.map( () => new Float32Array( 0 ) );
+    }
+
+    const size     = this.#chunkSize( metadata );
+    const from     = Math.floor( first / size );
+    const to       = Math.floor( ( first + length - 1 ) / size );
+    const indexes  = [];
+
+    for ( let i = from; i <= to; ++i ) {
+      indexes.push( i );
+    }
+
+    // record the access time for least-recently-used eviction on every
+    // read, but only pay for a metadata write now and then, so it survives
+    // a reload
+    const now = Date.now();
+
+    this.accessed.set( metadata.name, now );
+
+    if ( now - ( metadata.accessed || 0 ) > 60000 ) {
+      metadata.accessed = now;
+      await this.#updateMetadata( metadata, { accessed: now } );
+    }
+
+    const sources = downmix.sources( matrix );
+    const chunks  = await this.#getChunks( metadata, indexes, sources );
+    const start   = first - from * size;
+
+    // a worker takes the decoded chunks off our hands, so give it copies
+    // of any the cache is keeping
+    const copy = this.serializer !== serializer && this.cache.maxBytes > 0;
+    const data = chunks.map( chunk => sources.map( i => {
+      return copy ? chunk.channels[ i ].slice() : chunk.channels[ i ];
+    }) );
+
+    const merged = await this.serializer.merge( data, start, start + length );
+
+    if ( downmix.isIdentity( matrix ) ) {
+      return merged;
+    }
+
+    // the merged data only has the source channels, so renumber to match
+    const mix = matrix.map( row => {
+      return row.map( ([ i, gain ]) => [ sources.indexOf( i ), gain ] );
+    });
+
+    return this.serializer.mix( merged, mix );
+  }
+
+  /**
+   * read samples by time rather than by sample index
+   *
+   * @private readSeconds
+   *
+   * @param  {Object}  metadata – metadata record
+   * @param  {Number}  offset   – offset in seconds
+   * @param  {Number}  duration – duration in seconds
+   * @param  {Array}   matrix   – channel matrix
+   * @return {Promise}          – resolves with an array of Float32Arrays
+   */
+
+  async #readSeconds( metadata, offset, duration, matrix ) {
+    const end = offset + duration;
+
+    if ( offset < 0 || end > metadata.duration ) {
+      const msg = `${ end } is beyond track duration ${ metadata.duration }`;
+      throw new Error( msg );
+    }
+
+    const first  = Math.floor( offset * metadata.rate );
+    const length = Math.ceil( duration * metadata.rate );
+
+    return this.#readSamples( metadata, first, length, matrix );
+  }
+
+  /**
+   * read samples by time, converted to sample rate `rate`
+   *
+   * output sample `j` always lands at `j / rate` seconds into the track,
+   * and enough source samples are read either side of the window for the
+   * whole resampling kernel, so consecutive reads join up seamlessly even
+   * across chunk boundaries.
+   *
+   * @private readResampled
+   *
+   * @param  {Object}  metadata  – metadata record
+   * @param  {Number}  offset    – offset in seconds
+   * @param  {Number}  duration  – duration in seconds
+   * @param  {Array}   matrix    – channel matrix
+   * @param  {Number}  rate      – target sample rate
+   * @param  {String}  [quality] – resampling quality (see resampler.js)
+   * @return {Promise}           – resolves with an array of Float32Arrays
+   */
+
+  async #readResampled( metadata, offset, duration, matrix, rate, quality ) {
+    if ( !rate || rate === metadata.rate ) {
+      return this.#readSeconds( metadata, offset, duration, matrix );
+    }
+
+    const end = offset + duration;
+
+    if ( offset < 0 || end > metadata.duration ) {
+      const msg = `${ end } is beyond track duration ${ metadata.duration }`;
+      throw new Error( msg );
+    }
+
+    const first  = Math.floor( offset * rate );
+    const length = Math.ceil( duration * rate );
+    const ratio  = metadata.rate / rate;
+    const pad    = resampler.padding( metadata.rate, rate, quality );
+    const total  = Math.round( metadata.duration * metadata.rate );
+    const from   = Math.max( 0, Math.floor( first * ratio ) - pad );
+    const last   = Math.ceil( ( first + length ) * ratio ) + pad;
+    const to     = Math.min( total, last );
+
+    const data = await this.#readSamples( metadata, from, to - from, matrix );
+    const opts = {
+      from: metadata.rate,
+      to: rate,
+      offset: from,
+      first,
+      length,
+      quality
+    };
+
+    return this.serializer.resample( data, opts );
+  }
+
+  /**
+   * get an AudioBuffer for the given track name
+   *
+   * this method will automatically stitch together multiple chunks
+   * if necessary, we well as perform any trimming needed for
+   * `offset` and `duration`.
+   *
+   * pass `opts.rate` (usually `ac.sampleRate`) to get the buffer at that
+   * sample rate instead of the stored one, so the browser doesn't have to
+   * resample each chunk separately during playback.
+   *
+   * `opts.channels` picks or mixes channels: either a channel map (`[ 1 ]`
+   * for the right side only, `[ 0, 0 ]` for the left side on both) or a
+   * downmix mode (`mono` or `stereo`). channels that aren't needed are
+   * never decoded.
+   *
+   * @method getAudioBuffer
+   *
+   * @param  {String}       name          – track name
+   * @param  {Number}       [offset=0]    – offset in seconds
+   * @param  {Number}       [duration=10] – duration in seconds
+   * @param  {Object}       [opts={}]     – options
+   * @param  {Number}       [opts.rate]   – target sample rate (defaults to
+   *                                        the stored rate)
+   * @param  {Array|String} [opts.channels] – channel map or downmix mode
+   *                                          (defaults to every channel)
+   * @param  {String}       [opts.quality] – resampling quality, `best` (the
+   *                                         default) or `fast`
+   * @return {Promise}                    – resolves with an AudioBuffer
+   */
+
+  async getAudioBuffer( name, offset = 0, duration = 10, opts = {} ) {
+    const start = offset;
+    const end   = offset + duration;
+    const log   = `getting audiobuffer ${ name } @ ${ start }s-${ end }s`;
+
+    if ( !this.ac ) {
+      throw new Error('getAudioBuffer needs an AudioContext');
+    }
+
+    console.info( log );
+
+    const begin    = performance.now();
+    const metadata = await this.#getTrack( name );
+    const matrix   = this.#channelMatrix( metadata, opts.channels );
+    const rate     = opts.rate || metadata.rate;
+    const channels = await this.#readResampled(
+      metadata, offset, duration, matrix, rate, opts.quality
+    );
+    const length   = channels[ 0 ].length;
+    const ab       = this.ac.createBuffer( channels.length, length, rate );
+
+    channels.forEach( ( f32, i ) => ab.getChannelData( i ).set( f32 ) );
+
+    const elapsed = Math.round( performance.now() - begin );
+    const msg     = `got audiobuffer ${ name } @ ${ start }s-${ end }s ` +
+      `in ${ elapsed }ms`;
+
+    console.info( msg );
 
     return ab;
   }
 
+  /**
+   * get raw samples for the given track name, without an AudioContext
+   *
+   * @method getChannelData
+   *
+   * @param  {String}  name            – track name
+   * @param  {Number}  [offset=0]      – offset in seconds
+   * @param  {Number}  [duration=10]   – duration in seconds
+   * @param  {Object}  [opts={}]       – options
+   * @param  {Array}   [opts.channels] – channel map or downmix mode
+   *                                     (defaults to every channel)
+   * @param  {Number}  [opts.rate]     – target sample rate (defaults to
+   *                                     the stored rate)
+   * @param  {String}  [opts.quality]  – resampling quality, `best` (the
+   *                                     default) or `fast`
+   * @return {Promise}                 – resolves with an array of
+   *                                     Float32Arrays, one per channel
+   */
+
+  async getChannelData( name, offset = 0, duration = 10, opts = {} ) {
+    const metadata = await this.#getTrack( name );
+    const matrix   = this.#channelMatrix( metadata, opts.channels );
+
+    return this.#readResampled(
+      metadata, offset, duration, matrix, opts.rate, opts.quality
+    );
+  }
+
+  /**
+   * get raw samples for the given track name by sample index
+   *
+   * @method getSamples
+   *
+   * @param  {String}  name            – track name
+   * @param  {Number}  start           – first sample
+   * @param  {Number}  length          – number of samples
+   * @param  {Object}  [opts={}]       – options
+   * @param  {Array}   [opts.channels] – channel map or downmix mode
+   *                                     (defaults to every channel)
+   * @return {Promise}                 – resolves with an array of
+   *                                     Float32Arrays, one per channel
+   */
+
+  async getSamples( name, start, length, opts = {} ) {
+    const metadata = await this.#getTrack( name );
+    const matrix   = this.#channelMatrix( metadata, opts.channels );
+    const total    = Math.round( metadata.duration * metadata.rate );
+
+    if ( start < 0 || start + length > total ) {
+      const msg = `${ start + length } is beyond track length ${ total }`;
+      throw new Error( msg );
+    }
+
+    return this.#readSamples( metadata, start, length, matrix );
+  }
+
+  /**
+   * export a track (or a region of one) as a WAV file
+   *
+   * chunks are read and encoded one at a time, so the track is never held
+   * in memory as Float32 data. pass `stream: true` to get a ReadableStream
+   * of bytes instead of a Blob.
+   *
+   * @method exportWav
+   *
+   * @param  {String}  name                 – track name
+   * @param  {Object}  [opts={}]            – export options
+   * @param  {Number}  [opts.offset=0]      – offset in seconds
+   * @param  {Number}  [opts.duration]      – duration in seconds (defaults
+   *                                          to the rest of the track)
+   * @param  {Number}  [opts.bitDepth=16]   – 16, 24 or 32 (float)
+   * @param  {Boolean} [opts.stream=false]  – return a ReadableStream
+   * @return {Promise}                      – resolves with a Blob or
+   *                                          ReadableStream
+   */
+
+  async exportWav( name, opts = {} ) {
+    const metadata = await this.#getTrack( name );
+
+    const {
+      offset = 0,
+      duration = metadata.duration - offset,
+      bitDepth = 16,
+      stream = false
+    } = opts;
+
+    if ( !wavencoder.bitDepths.includes( bitDepth ) ) {
+      throw new Error( `unsupported bit depth ${ bitDepth }` );
+    }
+
+    const end = offset + duration;
+
+    if ( offset < 0 || end > metadata.duration ) {
+      const msg = `${ end } is beyond track duration ${ metadata.duration }`;
+      throw new Error( msg );
+    }
+
+    const { rate, channels } = metadata;
+
+    const total  = Math.round( metadata.duration * rate );
+    const first  = Math.floor( offset * rate );
+    const last   = Math.min( total, first + Math.round( duration * rate ) );
+    const length = last - first;
+    const header = wavencoder.header({ rate, channels, bitDepth, length });
+    const size   = this.#chunkSize( metadata );
+
+    let index = Math.floor( first / size );
+
+    console.info( `exporting ${ name } @ ${ offset }s-${ end }s` );
+
+    const body = new ReadableStream({
+      start: controller => controller.enqueue( header ),
+      pull: async controller => {
+        const start = index * size;
+
+        if ( start >= last ) {
+          console.info( `exported ${ name }` );
+          return controller.close();
+        }
+
+        const [ chunk ] = await this.#getChunks( metadata, [ index ] );
+        const from      = Math.max( 0, first - start );
+        const to        = Math.min( chunk.length, last - start );
+        const data      = chunk.channels.map( f32 => f32.subarray( from, to ) );
+
+        controller.enqueue( wavencoder.interleave( data, bitDepth ) );
+        index++;
+      }
+    });
+
+    if ( stream ) {
+      return body;
+    }
+
+    const blob = await new Response( body ).blob();
+
+    return new Blob( [ blob ], { type: 'audio/wav' } );
+  }
+
+  /**
+   * check every chunk of a track
+   *
+   * resolves with `{ name, ok, missing, corrupt }`, where `missing` and
+   * `corrupt` are arrays of chunk ids. chunks are decoded and checked
+   * against their checksums unless `opts.quick` is set, in which case only
+   * their presence, shape and the size of their data are checked. a quick
+   * check reads chunk records 16 at a time, a full one reads and decodes
+   * them one at a time, so the track is never held in memory.
+   *
+   * @method verifyTrack
+   *
+   * @param  {String}  name                – track name
+   * @param  {Object}  [opts={}]           – options
+   * @param  {Boolean} [opts.quick=false]  – skip decoding
+   * @return {Promise}                     – resolves with a report
+   */
+
+  async verifyTrack( name, opts = {} ) {
+    const metadata = await this.#getTrack( name );
+    const channels = this.#channelList( metadata );
+    const ids      = this.#chunkIds( metadata );
+    const size     = this.#chunkSize( metadata );
+    const total    = Math.round( metadata.duration * metadata.rate );
+    const step     = opts.quick ? VERIFY_BATCH : 1;
+    const missing  = [];
+    const corrupt  = [];
+
+    for ( let first = 0; first < ids.length; first += step ) {
+      const batch   = ids.slice( first, first + step );
+      const records = await this.db.getRecords( 'chunks', batch );
+
+      for ( const [ j, chunk ] of records.entries() ) {
+        const id     = batch[ j ];
+        const length = Math.min( size, total - ( first + j ) * size );
+
+        if ( !chunk ) {
+          missing.push( id );
+          continue;
+        }
+
+        try {
+          if ( chunk.length !== length ) {
+            const msg = `wrong length ${ chunk.length }`;
+            throw new ChunkCorruptError( id, msg );
+          }
+
+          if ( opts.quick ) {
+            this.#checkChunk( chunk, metadata );
+          } else {
+            await this.#parseChunk( chunk, metadata, channels );
+          }
+        } catch ( err ) {
+          if ( !( err instanceof ChunkCorruptError ) ) {
+            throw err;
+          }
+
+          console.info( err.message );
+          corrupt.push( id );
+        }
+      }
+    }
+
+    const ok = !missing.length && !corrupt.length;
+
+    return { name, ok, missing, corrupt };
+  }
+
+  /**
+   * read samples `start`-`end` of a track in order, one chunk at a time
+   *
+   * @private readRange
+   *
+   * @param  {Object} metadata – track metadata
+   * @param  {Number} start    – first sample
+   * @param  {Number} end      – end sample (exclusive)
+   * @return {Object}          – async iterator of channel data blocks
+   */
+
+  async *#readRange( metadata, start, end ) {
+    const size = this.#chunkSize( metadata );
+
+    for ( let i = Math.floor( start / size ); i * size < end; ++i ) {
+      const [ chunk ] = await this.#getChunks( metadata, [ i ] );
+      const from      = Math.max( 0, start - i * size );
+      const to        = Math.min( chunk.length, end - i * size );
+
+      yield chunk.channels.map( f32 => f32.subarray( from, to ) );
+    }
+  }
+
+  /**
+   * rewrite a track's chunks in place with a different chunk duration
+   *
+   * this works one chunk at a time. a new chunk only ever replaces an old
+   * one that has already been read, so the track is never held in memory.
+   * if it fails part way through, the track can't be read any more, so
+   * it's deleted. the track's edit history is cleared.
+   *
+   * @method rechunk
+   *
+   * @param  {String}  name     – track name
+   * @param  {Number}  duration – new chunk duration in seconds
+   * @return {Promise}          – resolves with the new metadata record
+   */
+
+  async rechunk( name, duration ) {
+    const old = await this.#getTrack( name );
+
+    if ( !( duration > 0 ) ) {
+      throw new Error( `invalid chunk duration ${ duration }` );
+    }
+
+    if ( duration === this.#chunkDuration( old ) ) {
+      return old;
+    }
+
+    console.info( `rechunking ${ name } to ${ duration }s` );
+
+    const metadata = { ...old, chunks: 0, chunkDuration: duration, bytes: 0 };
+    const total    = Math.round( old.duration * old.rate );
+
+    try {
+      await this.#writeChunks( metadata, this.#readRange( old, 0, total ) );
+    } catch ( err ) {
+      // some of the old chunks may already be overwritten
+      await this.deleteTrack( name );
+      throw err;
+    } finally {
+      // and the cache may be holding on to old chunks under reused ids
+      this.cache.invalidate( name );
+    }
+
+    const ids   = new Set( this.#chunkIds( metadata ) );
+    const stale = this.#chunkIds( old ).filter( id => !ids.has( id ) );
+
+    await this.db.deleteRecords( 'chunks', stale );
+
+    // undo snapshots are laid out on the old chunk grid, so they can't be
+    // restored any more
+    await this.#dropHistory( metadata.history || [] );
+
+    metadata.history  = [];
+    metadata.accessed = Date.now();
+
+    await this.#saveWithEviction( name, () => this.#saveMetadata( metadata ) );
+
+    console.info( `rechunked ${ name }` );
+
+    return metadata;
+  }
+
+  /**
+   * get the id of one of a track's peak pages
+   *
+   * @private peakId
+   *
+   * @param  {Object} metadata – track metadata
+   * @param  {Number} level    – pyramid level
+   * @param  {Number} page     – page index
+   * @return {String}          – peak page id
+   */
+
+  #peakId( metadata, level, page ) {
+    return `${ this.#recordKey( metadata ) }-${ level }-${ page }`;
+  }
+
+  /**
+   * get the ids of a track's peak pages
+   *
+   * @private peakIds
+   *
+   * @param  {Object} metadata – track metadata
+   * @param  {Object} [layout] – peak pyramid layout from track metadata
+   * @return {Array}           – array of peak page ids
+   */
+
+  #peakIds( metadata, layout ) {
+    if ( !layout ) {
+      return [];
+    }
+
+    return layout.counts.flatMap( ( count, level ) => {
+      const pages = Math.ceil( count / layout.pageSize );
+      return Array.from( { length: pages }, ( v, page ) => {
+        return this.#peakId( metadata, level, page );
+      });
+    });
+  }
+
+  /**
+   * save peak pages from a `PeakBuilder`
+   *
+   * @private savePeaks
+   *
+   * @param  {Object}  metadata – track metadata
+   * @param  {Array}   pages    – peak pages
+   * @return {Promise}          – resolves with `true`
+   */
+
+  async #savePeaks( metadata, pages ) {
+    if ( !pages.length ) {
+      return true;
+    }
+
+    const { name } = metadata;
+
+    const records = pages.map( page => {
+      const id = this.#peakId( metadata, page.level, page.page );
+      return { id, name, ...page };
+    });
+
+    return this.#saveWithEviction( name, () => {
+      return this.db.saveRecords( 'peaks', records );
+    });
+  }
+
+  /**
+   * pass blocks through unchanged, building and saving peaks and measuring
+   * loudness on the way
+   *
+   * @private analyse
+   *
+   * @param  {Object}        metadata – track metadata
+   * @param  {Object}        blocks   – (async) iterable of channel data
+   *                                    blocks
+   * @param  {PeakBuilder}   builder  – peak builder
+   * @param  {Object}        meter    – loudness meter, from `#startMeter`
+   * @return {Object}                 – async iterator of channel data blocks
+   */
+
+  async *#analyse( metadata, blocks, builder, meter ) {
+    for await ( const block of blocks ) {
+      // malformed blocks are rejected by `#writeChunks`
+      if ( block.length === builder.channels ) {
+        await this.#savePeaks( metadata, builder.push( block ) );
+        await this.#measure( meter, block );
+      }
+
+      yield block;
+    }
+
+    await this.#savePeaks( metadata, builder.finish() );
+  }
+
+  /**
+   * write pages from a `PeakBuilder` that started part way through a track
+   * over the stored pages. `offsets` is the index of the builder's first
+   * peak at each level
+   *
+   * @private patchPeaks
+   *
+   * @param  {Object}  metadata – track metadata
+   * @param  {Array}   pages    – peak pages
+   * @param  {Array}   offsets  – peak index offset per level
+   * @param  {Number}  pageSize – peaks per stored page
+   * @return {Promise}          – resolves with `true`
+   */
+
+  async #patchPeaks( metadata, pages, offsets, pageSize ) {
+    const { name } = metadata;
+
+    for ( const { level, page, length, channels } of pages ) {
+      const first = offsets[ level ] + page * pageSize;
+      const last  = first + length;
+      const pages = [];
+
+      for ( let p = Math.floor( first / pageSize ); p * pageSize < last; ++p ) {
+        pages.push( p );
+      }
+
+      const ids     = pages.map( p => this.#peakId( metadata, level, p ) );
+      const stored  = await this.db.getRecords( 'peaks', ids );
+      const records = stored.map( ( record, i ) => {
+        const start = pages[ i ] * pageSize;
+        const from  = Math.max( first, start ) - start;
+        const to    = Math.min( last, start + pageSize ) - start;
+        const fill  = Math.max( record ? record.length : 0, to );
+
+        const data = channels.map( ( i16, c ) => {
+          const merged = new Int16Array( fill * 2 );
+          const skip   = start + from - first;
+
+          if ( record ) {
+            merged.set( record.channels[ c ] );
+          }
+
+          const part = i16.subarray( skip * 2, ( skip + to - from ) * 2 );
+
+          merged.set( part, from * 2 );
+
+          return merged;
+        });
+
+        return {
+          id: ids[ i ],
+          name,
+          level,
+          page: pages[ i ],
+          length: fill,
+          channels: data
+        };
+      });
+
+      await this.#saveWithEviction( name, () => {
+        return this.db.saveRecords( 'peaks', records );
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * cut stored peak pages down from `before` to `after` peaks per level,
+   * after an edit that made the track shorter
+   *
+   * @private trimPeaks
+   *
+   * @param  {Object}  metadata – track metadata
+   * @param  {Array}   before   – stored peak counts per level
+   * @param  {Array}   after    – new peak counts per level
+   * @param  {Number}  pageSize – peaks per stored page
+   * @return {Promise}          – resolves with `true`
+   */
+
+  async #trimPeaks( metadata, before, after, pageSize ) {
+    for ( const [ level, count ] of after.entries() ) {
+      if ( count >= before[ level ] ) {
+        continue;
+      }
+
+      const keep  = Math.ceil( count / pageSize );
+      const pages = Math.ceil( before[ level ] / pageSize );
+      const stale = [];
+
+      for ( let p = keep; p < pages; ++p ) {
+        stale.push( this.#peakId( metadata, level, p ) );
+      }
+
+      await this.db.deleteRecords( 'peaks', stale );
+
+      const length = count - ( keep - 1 ) * pageSize;
+
+      if ( !keep || length === pageSize ) {
+        continue;
+      }
+
+      const id       = this.#peakId( metadata, level, keep - 1 );
+      const [ last ] = await this.db.getRecords( 'peaks', [ id ] );
+
+      last.length = length;
+      last.channels = last.channels.map( i16 => i16.slice( 0, length * 2 ) );
+
+      await this.db.saveRecords( 'peaks', [ last ] );
+    }
+
+    return true;
+  }
+
+  /**
+   * rebuild the peaks covering `length` samples from `first` (or from
+   * `first` to the end, if `length` is `null`) from a track's chunks, after
+   * an edit or for a track saved before peaks existed. only the chunks
+   * under the change are read, and only the pages covering it are
+   * rewritten. sets `metadata.peaks`
+   *
+   * @private rebuildPeaks
+   *
+   * @param  {Object}  metadata      – track metadata, after the change
+   * @param  {Object}  [old]         – layout of the stored peak pages, if
+   *                                   there are any
+   * @param  {Number}  [first=0]     – first changed sample
+   * @param  {Number}  [length=null] – number of changed samples
+   * @return {Promise}               – resolves with the metadata
+   */
+
+  async #rebuildPeaks( metadata, old, first = 0, length = null ) {
+    const { channels, rate } = metadata;
+
+    const builder = new PeakBuilder( channels );
+    const layout  = builder.layout;
+    const total   = Math.round( metadata.duration * rate );
+    const counts  = old ? old.counts : layout.counts;
+
+    // with nothing to patch, build the lot
+    if ( !old ) {
+      first = 0;
+      length = null;
+    }
+
+    // start and end on a boundary between peaks at every level (so between
+    // peaks at the coarsest), so the rebuilt peaks slot in among the old ones
+    const { base, factor, levels, pageSize } = layout;
+
+    const widths  = Array.from( { length: levels }, ( v, level ) => {
+      return base * Math.pow( factor, level );
+    });
+    const width   = widths[ levels - 1 ];
+    const start   = Math.floor( first / width ) * width;
+    const aligned = Math.ceil( ( first + length ) / width ) * width;
+    const end     = length === null ? total : Math.min( total, aligned );
+    const offsets = widths.map( w => start / w );
+
+    for await ( const block of this.#readRange( metadata, start, end ) ) {
+      const pages = builder.push( block );
+      await this.#patchPeaks( metadata, pages, offsets, pageSize );
+    }
+
+    await this.#patchPeaks( metadata, builder.finish(), offsets, pageSize );
+
+    // peaks after a change that didn't move anything are still good
+    if ( end === total ) {
+      const built = builder.layout.counts;
+
+      layout.counts = offsets.map( ( offset, i ) => offset + built[ i ] );
+      await this.#trimPeaks( metadata, counts, layout.counts, pageSize );
+    } else {
+      layout.counts = [ ...counts ];
+    }
+
+    metadata.peaks = layout;
+
+    return metadata;
+  }
+
+  /**
+   * measure a track's loudness from its chunks, for tracks saved (or
+   * edited) since it was last measured. sets `metadata.loudness`
+   *
+   * @private measureLoudness
+   *
+   * @param  {Object}  metadata – track metadata
+   * @return {Promise}          – resolves with the metadata
+   */
+
+  async #measureLoudness( metadata ) {
+    const { channels, rate } = metadata;
+
+    const meter = await this.#startMeter( channels, rate );
+    const total = Math.round( metadata.duration * rate );
+
+    try {
+      for await ( const block of this.#readRange( metadata, 0, total ) ) {
+        await this.#measure( meter, block );
+      }
+    } catch ( err ) {
+      await this.#finishMeter( meter ).catch( () => {} );
+      throw err;
+    }
+
+    metadata.loudness = await this.#finishMeter( meter );
+
+    return metadata;
+  }
+
+  /**
+   * start measuring loudness (see loudness.js) with the serializer, so it
+   * runs in the worker if there is one
+   *
+   * @private startMeter
+   *
+   * @param  {Number}  channels – number of channels
+   * @param  {Number}  rate     – sample rate
+   * @return {Promise}          – resolves with a meter for `#measure`
+   */
+
+  async #startMeter( channels, rate ) {
+    const meter = { id: ++meters, rate, queue: Promise.resolve() };
+
+    await this.serializer.startMeter( meter.id, channels, rate );
+
+    return meter;
+  }
+
+  /**
+   * measure a block of channel data. a worker gets a copy to measure in
+   * the background, while the block carries on to be stored. without one,
+   * it's measured a second at a time, giving the main thread back in
+   * between so playback and drawing aren't held up
+   *
+   * @private measure
+   *
+   * @param  {Object}  meter – meter, from `#startMeter`
+   * @param  {Array}   block – array of Float32Arrays, one per channel
+   * @return {Promise}
+   */
+
+  async #measure( meter, block ) {
+    const { id, rate } = meter;
+
+    if ( this.serializer instanceof WorkerSerializer ) {
+      const copy = block.map( data => data.slice() );
+      const call = this.serializer.measure( id, copy );
+
+      // any error comes out of `#finishMeter`
+      meter.queue = Promise.all([ meter.queue, call ]);
+      meter.queue.catch( () => {} );
+
+      return;
+    }
+
+    for ( let pos = 0; pos < block[ 0 ].length; pos += rate ) {
+      const slice = block.map( data => data.subarray( pos, pos + rate ) );
+
+      await this.serializer.measure( id, slice );
+      await nextTask();
+    }
+  }
+
+  /**
+   * finish measuring, once every block has been measured
+   *
+   * @private finishMeter
+   *
+   * @param  {Object}  meter – meter, from `#startMeter`
+   * @return {Promise}       – resolves with `{ integrated, truePeak, rms }`
+   */
+
+  async #finishMeter( meter ) {
+    const [ , loudness ] = await Promise.all([
+      meter.queue,
+      this.serializer.finishMeter( meter.id )
+    ]);
+
+    return loudness;
+  }
+
+  /**
+   * get min/max waveform peaks for drawing, without reading any chunks
+   *
+   * the range is split into `pixels` columns, each with the min and max
+   * sample value of every channel in it. peaks come from the coarsest
+   * level of a precomputed pyramid that's still at least as fine as a
+   * column, so drawing a whole track reads very little. tracks saved
+   * before peaks existed have them built (from their chunks) once.
+   *
+   * resolves with an array of `{ min, max }` per channel, each a
+   * Float32Array of `pixels` values.
+   *
+   * @method getPeaks
+   *
+   * @param  {String}  name            – track name
+   * @param  {Object}  [opts={}]       – options
+   * @param  {Number}  [opts.from=0]   – start in seconds
+   * @param  {Number}  [opts.to]       – end in seconds (defaults to the
+   *                                     end of the track)
+   * @param  {Number}  [opts.pixels]   – number of columns (defaults to
+   *                                     1000)
+   * @return {Promise}                 – resolves with peaks per channel
+   */
+
+  async getPeaks( name, opts = {} ) {
+    const metadata = await this.#getTrack( name );
+
+    const { from = 0, to = metadata.duration, pixels = 1000 } = opts;
+
+    if ( from < 0 || to > metadata.duration || to < from ) {
+      const msg = `${ from }s-${ to }s is outside track ${ name }`;
+      throw new Error( msg );
+    }
+
+    if ( !metadata.peaks ) {
+      console.info( `building peaks for ${ name }` );
+      await this.#rebuildPeaks( metadata );
+      await this.#updateMetadata( metadata, { peaks: metadata.peaks } );
+    }
+
+    const { base, factor, pageSize, counts } = metadata.peaks;
+
+    const start  = from * metadata.rate;
+    const spp    = ( to - from ) * metadata.rate / pixels;
+    const result = Array.from( { length: metadata.channels }, () => ({
+      min: new Float32Array( pixels ),
+      max: new Float32Array( pixels )
+    }) );
+
+    // the coarsest level with peaks no wider than a column
+    let level = 0;
+
+    while ( level + 1 < counts.length &&
+      base * Math.pow( factor, level + 1 ) <= spp ) {
+      level++;
+    }
+
+    const width = base * Math.pow( factor, level );
+    const count = counts[ level ];
+    const first = Math.min( count, Math.floor( start / width ) );
+    const end   = start + spp * pixels;
+    const last  = Math.min( count, Math.ceil( end / width ) );
+
+    if ( first >= last ) {
+      return result;
+    }
+
+    const pages = [];
+
+    for ( let p = Math.floor( first / pageSize ); p * pageSize < last; ++p ) {
+      pages.push( p );
+    }
+
+    const ids     = pages.map( p => this.#peakId( metadata, level, p ) );
+    const records = await this.db.getRecords( 'peaks', ids );
+
+    records.forEach( ( record, i ) => {
+      if ( !record ) {
+        throw new Error( `peaks ${ ids[ i ] } are missing` );
+      }
+    });
+
+    const peak = ( c, index, which ) => {
+      const record = records[ Math.floor( index / pageSize ) - pages[ 0 ] ];
+      return record.channels[ c ][ index % pageSize * 2 + which ] / 32767;
+    };
+
+    for ( let x = 0; x < pixels; ++x ) {
+      const a = Math.floor( ( start + x * spp ) / width );
+      const b = Math.ceil( ( start + ( x + 1 ) * spp ) / width );
+
+      result.forEach( ( { min, max }, c ) => {
+        let lo = Infinity;
+        let hi = -Infinity;
+
+        // a column narrower than a peak still gets the peak it's in
+        const stop = Math.min( Math.max( a + 1, b ), last );
+
+        for ( let i = Math.max( a, first ); i < stop; ++i ) {
+          lo = Math.min( lo, peak( c, i, 0 ) );
+          hi = Math.max( hi, peak( c, i, 1 ) );
+        }
+
+        min[ x ] = lo === Infinity ? 0 : lo;
+        max[ x ] = hi === -Infinity ? 0 : hi;
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * get a track's loudness, measured when it was saved (or edited)
+   *
+   * resolves with `{ integrated, truePeak, rms }`: integrated loudness in
+   * LUFS (EBU R128), true peak in dBTP and RMS level in dBFS. levels are
+   * `null` for silence, and `integrated` is also `null` for tracks shorter
+   * than 400ms. tracks saved before loudness was measured are measured
+   * (from their chunks) once.
+   *
+   * @method getLoudness
+   *
+   * @param  {String}  name – track name
+   * @return {Promise}      – resolves with the track's loudness
+   */
+
+  async getLoudness( name ) {
+    const metadata = await this.#getTrack( name );
+
+    if ( !metadata.loudness ) {
+      console.info( `measuring loudness of ${ name }` );
+      await this.#measureLoudness( metadata );
+      await this.#updateMetadata( metadata, { loudness: metadata.loudness } );
+    }
+
+    return metadata.loudness;
+  }
+
+  /**
+   * get the chunk ids of an undo snapshot
+   *
+   * @private historyIds
+   *
+   * @param  {Object} entry – edit history entry
+   * @return {Array}        – array of chunk ids
+   */
+
+  #historyIds( entry ) {
+    const snapshot = { ...entry.metadata, name: entry.snapshot };
+    return entry.indexes.map( i => this.#chunkId( snapshot, i ) );
+  }
+
+  /**
+   * delete the undo snapshots of some edit history entries
+   *
+   * @private dropHistory
+   *
+   * @param  {Array}   entries – edit history entries
+   * @return {Promise}         – resolves with `true`
+   */
+
+  async #dropHistory( entries ) {
+    const ids = entries.flatMap( entry => this.#historyIds( entry ) );
+    return this.db.deleteRecords( 'chunks', ids );
+  }
+
+  /**
+   * delete the chunks, undo snapshots and peak pages a metadata record
+   * points to, leaving the metadata itself
+   *
+   * @private dropRecords
+   *
+   * @param  {Object}  metadata – track metadata
+   * @return {Promise}          – resolves with `true`
+   */
+
+  async #dropRecords( metadata ) {
+    const peaks = this.#peakIds( metadata, metadata.peaks );
+
+    await this.db.deleteRecords( 'chunks', this.#chunkIds( metadata ) );
+    await this.#dropHistory( metadata.history || [] );
+    return this.db.deleteRecords( 'peaks', peaks );
+  }
+
+  /**
+   * put a track's chunks back the way they were before an edit
+   *
+   * @private restore
+   *
+   * @param  {Object}  current – current track metadata
+   * @param  {Object}  entry   – edit history entry to restore
+   * @return {Promise}         – resolves with `true`
+   */
+
+  async #restore( current, entry ) {
+    const { metadata } = entry;
+
+    const copies  = this.#historyIds( entry );
+    const records = await this.db.getRecords( 'chunks', copies );
+
+    records.forEach( ( record, i ) => {
+      if ( !record ) {
+        throw new ChunkMissingError( copies[ i ] );
+      }
+
+      record.id = this.#chunkId( metadata, entry.indexes[ i ] );
+    });
+
+    // chunks past the end of the restored track (when the edit made it
+    // longer). when it made it shorter, the copies fill the gap back in
+    const ids   = new Set( this.#chunkIds( metadata ) );
+    const stale = this.#chunkIds( current ).filter( id => !ids.has( id ) );
+
+    this.cache.invalidate( current.name );
+
+    await this.#saveWithEviction( current.name, () => {
+      return this.#saveChunks( records );
+    });
+    await this.db.deleteRecords( 'chunks', stale );
+    await this.db.deleteRecords( 'chunks', copies );
+
+    return true;
+  }
+
+  /**
+   * read a track from sample `start` up to `tail`, with `removed` samples
+   * at `first` replaced by `data`
+   *
+   * @private spliceBlocks
+   *
+   * @param  {Object} metadata – track metadata
+   * @param  {Number} start    – first sample
+   * @param  {Number} first    – first sample to replace
+   * @param  {Number} removed  – number of samples to replace
+   * @param  {Array}  data     – array of Float32Arrays, one per channel
+   * @param  {Number} tail     – end sample (exclusive)
+   * @return {Object}          – async iterator of channel data blocks
+   */
+
+  async *#spliceBlocks( metadata, start, first, removed, data, tail ) {
+    yield* this.#readRange( metadata, start, first );
+    yield data;
+    yield* this.#readRange( metadata, first + removed, tail );
+  }
+
+  /**
+   * replace `removed` samples at sample `first` with `data`
+   *
+   * the chunk grid stays fixed, so chunks before the edit are left alone.
+   * an overwrite that doesn't change the length only rewrites the chunks
+   * it touches, while anything that shifts audio later in the track
+   * rewrites every chunk from the edit to the end. the chunks being
+   * replaced are copied to an undo snapshot first, and the old audio is
+   * read back from there.
+   *
+   * @private splice
+   *
+   * @param  {String}  name    – track name
+   * @param  {String}  label   – description for the edit history
+   * @param  {Number}  first   – first sample to replace
+   * @param  {Number}  removed – number of samples to replace
+   * @param  {Array}   data    – array of Float32Arrays, one per channel
+   * @return {Promise}         – resolves with the new metadata record
+   */
+
+  async #splice( name, label, first, removed, data ) {
+    const old   = await this.#getTrack( name );
+    const size  = this.#chunkSize( old );
+    const total = Math.round( old.duration * old.rate );
+    const added = data[ 0 ].length;
+    const start = Math.floor( first / size );
+
+    // same length in place means the chunks after the edit don't move
+    const end = added === removed ?
+      Math.min( old.chunks, Math.ceil( ( first + added ) / size ) ) :
+      old.chunks;
+
+    const { history = [], ...previous } = old;
+
+    const edits    = ( old.edits || 0 ) + 1;
+    const snapshot = { ...previous, name: `${ name }#undo${ edits }` };
+    const indexes  = [];
+
+    for ( let i = start; i < end; ++i ) {
+      indexes.push( i );
+    }
+
+    console.info( `editing ${ name }: ${ label }` );
+
+    // copy the chunks we're about to replace, without decoding them
+    const ids     = indexes.map( i => this.#chunkId( old, i ) );
+    const records = await this.db.getRecords( 'chunks', ids );
+
+    records.forEach( ( record, i ) => {
+      if ( !record ) {
+        throw new ChunkMissingError( ids[ i ] );
+      }
+
+      record.id = this.#chunkId( snapshot, indexes[ i ] );
+    });
+
+    // the samples the edit changes: from `first` to the end, unless it
+    // left everything after it in place
+    const bytes = this.#chunkBytes( records );
+    const entry = {
+      label,
+      metadata: previous,
+      snapshot: snapshot.name,
+      indexes,
+      bytes,
+      first,
+      length: added === removed ? added : null
+    };
+
+    await this.#saveWithEviction( name, () => this.#saveChunks( records ) );
+
+    const tail     = added === removed ? Math.min( total, end * size ) : total;
+    const live     = this.#trackBytes( previous ) - bytes;
+    const metadata = { ...old, chunks: start, bytes: live, edits };
+    const blocks   = this.#spliceBlocks(
+      snapshot, start * size, first, removed, data, tail
+    );
+
+    try {
+      await this.#writeChunks( metadata, blocks );
+    } catch ( err ) {
+      await this.#restore( metadata, entry );
+      throw err;
+    } finally {
+      this.cache.invalidate( name );
+    }
+
+    const length = total - removed + added;
+
+    metadata.chunks   = Math.ceil( length / size );
+    metadata.duration = length / old.rate;
+    metadata.accessed = Date.now();
+    metadata.history  = [ ...history, entry ];
+
+    // drop whatever no longer fits in the undo history
+    const excess  = Math.max( 0, metadata.history.length - this.undoLevels );
+    const dropped = metadata.history.splice( 0, excess );
+
+    // loudness is measured again the next time it's asked for, rather than
+    // reading the whole track after every edit
+    delete metadata.loudness;
+
+    await this.#dropHistory( dropped );
+    await this.#rebuildPeaks( metadata, old.peaks, first, entry.length );
+    await this.#saveWithEviction( name, () => this.#saveMetadata( metadata ) );
+
+    // a shorter track leaves chunks past its new end. the undo snapshot
+    // has copies of them
+    const stale = this.#chunkIds( old ).slice( metadata.chunks );
+    await this.db.deleteRecords( 'chunks', stale );
+
+    console.info( `edited ${ name }: ${ label }` );
+
+    return metadata;
+  }
+
+  /**
+   * check that channel data matches a track's layout
+   *
+   * @private checkEdit
+   *
+   * @param  {Object} metadata – track metadata
+   * @param  {Array}  data     – array of Float32Arrays, one per channel
+   * @return {Undefined}
+   */
+
+  #checkEdit( metadata, data ) {
+    if ( !Array.isArray( data ) || data.length !== metadata.channels ) {
+      throw new Error( `expected ${ metadata.channels } channels` );
+    }
+
+    if ( data.some( f32 => f32.length !== data[ 0 ].length ) ) {
+      throw new Error('all channels must be the same length');
+    }
+  }
+
+  /**
+   * replace audio starting at `offset` (a punch-in). writing past the end
+   * of the track makes it longer
+   *
+   * @method overwriteRegion
+   *
+   * @param  {String}  name   – track name
+   * @param  {Number}  offset – offset in seconds
+   * @param  {Array}   data   – array of Float32Arrays, one per channel, at
+   *                            the track's sample rate
+   * @return {Promise}        – resolves with the new metadata record
+   */
+
+  async overwriteRegion( name, offset, data ) {
+    const metadata = await this.#getTrack( name );
+
+    this.#checkEdit( metadata, data );
+
+    if ( offset < 0 || offset > metadata.duration ) {
+      const msg = `${ offset } is beyond track duration ${ metadata.duration }`;
+      throw new Error( msg );
+    }
+
+    const total   = Math.round( metadata.duration * metadata.rate );
+    const first   = Math.floor( offset * metadata.rate );
+    const removed = Math.min( data[ 0 ].length, total - first );
+    const label   = `overwrite @ ${ offset }s`;
+
+    return this.#splice( name, label, first, removed, data );
+  }
+
+  /**
+   * insert audio at `offset`, pushing everything after it later
+   *
+   * @method insertRegion
+   *
+   * @param  {String}  name   – track name
+   * @param  {Number}  offset – offset in seconds
+   * @param  {Array}   data   – array of Float32Arrays, one per channel, at
+   *                            the track's sample rate
+   * @return {Promise}        – resolves with the new metadata record
+   */
+
+  async insertRegion( name, offset, data ) {
+    const metadata = await this.#getTrack( name );
+
+    this.#checkEdit( metadata, data );
+
+    if ( offset < 0 || offset > metadata.duration ) {
+      const msg = `${ offset } is beyond track duration ${ metadata.duration }`;
+      throw new Error( msg );
+    }
+
+    const first = Math.floor( offset * metadata.rate );
+    const label = `insert @ ${ offset }s`;
+
+    return this.#splice( name, label, first, 0, data );
+  }
+
+  /**
+   * remove `duration` seconds of audio at `offset`, pulling everything
+   * after it earlier
+   *
+   * @method deleteRegion
+   *
+   * @param  {String}  name     – track name
+   * @param  {Number}  offset   – offset in seconds
+   * @param  {Number}  duration – duration in seconds
+   * @return {Promise}          – resolves with the new metadata record
+   */
+
+  async deleteRegion( name, offset, duration ) {
+    const metadata = await this.#getTrack( name );
+    const end      = offset + duration;
+
+    if ( offset < 0 || duration < 0 || end > metadata.duration ) {
+      const msg = `${ end } is beyond track duration ${ metadata.duration }`;
+      throw new Error( msg );
+    }
+
+    const total   = Math.round( metadata.duration * metadata.rate );
+    const first   = Math.floor( offset * metadata.rate );
+    const length  = Math.round( duration * metadata.rate );
+    const removed = Math.min( length, total - first );
+    const empty   = Array.from( { length: metadata.channels }, () => {
+      return new Float32Array();
+    });
+    const label   = `delete @ ${ offset }s-${ end }s`;
+
+    return this.#splice( name, label, first, removed, empty );
+  }
+
+  /**
+   * get a track's edit history, oldest first
+   *
+   * @method getHistory
+   *
+   * @param  {String}  name – track name
+   * @return {Promise}      – resolves with an array of edit labels
+   */
+
+  async getHistory( name ) {
+    const metadata = await this.#getTrack( name );
+    return ( metadata.history || [] ).map( entry => entry.label );
+  }
+
+  /**
+   * undo the most recent edit to a track
+   *
+   * @method undo
+   *
+   * @param  {String}  name – track name
+   * @return {Promise}      – resolves with the restored metadata record
+   */
+
+  async undo( name ) {
+    const current = await this.#getTrack( name );
+    const history = [ ...( current.history || [] ) ];
+    const entry   = history.pop();
+
+    if ( !entry ) {
+      throw new Error( `nothing to undo for ${ name }` );
+    }
+
+    console.info( `undoing ${ name }: ${ entry.label }` );
+
+    await this.#restore( current, entry );
+
+    const metadata = {
+      ...entry.metadata,
+      edits: current.edits,
+      history,
+      accessed: Date.now()
+    };
+
+    // undoing changes the same samples as the edit did. the loudness from
+    // before the edit is still right
+    const { first = 0, length = null } = entry;
+
+    await this.#rebuildPeaks( metadata, current.peaks, first, length );
+
+    await this.#saveWithEviction( name, () => this.#saveMetadata( metadata ) );
+
+    console.info( `undid ${ name }: ${ entry.label }` );
+
+    return metadata;
+  }
+
+  /**
+   * delete a track's metadata and all of its chunks
+   *
+   * @method deleteTrack
+   *
+   * @param  {String}  name – track name
+   * @return {Promise}      – resolves with `true` if the track existed
+   */
+
+  async deleteTrack( name ) {
+    const metadata = await this.getMetadata( name );
+
+    this.cache.invalidate( name );
+    this.accessed.delete( name );
+
+    if ( !metadata ) {
+      return false;
+    }
+
+    console.info( `deleting track ${ name }` );
+
+    await this.#dropRecords( metadata );
+    await this.db.deleteRecords( 'metadata', [ name ] );
+
+    console.info( `deleted track ${ name }` );
+
+    return true;
+  }
+
 }
@@ -0,0 +1,132 @@
+export default class ChunkCache {
+
+  /**
+   * ChunkCache constructor
+   *
+   * Memory-bounded LRU cache of parsed chunk records (the ones with
+   * Float32Array channels), keyed by chunk id. A size of 0 disables it.
+   *
+   * @method constructor
+   *
+   * @param  {Number}     [megabytes=0] – maximum size in megabytes
+   * @return {ChunkCache}
+   */
+
+  constructor( megabytes = 0 ) {
+    this.maxBytes = megabytes * 1024 * 1024;
+    this.bytes    = 0;
+    this.hits     = 0;
+    this.misses   = 0;
+    this.chunks   = new Map();
+  }
+
+  /**
+   * get the size of a parsed chunk in bytes
+   *
+   * @private sizeOf
+   *
+   * @param  {Object} chunk – parsed chunk record
+   * @return {Number}
+   */
+
+  #sizeOf( chunk ) {
+    // channels that haven't been decoded yet are `undefined`
+    return chunk.channels.reduce( ( a, b ) => a + ( b ? b.byteLength : 0 ), 0 );
+  }
+
+  /**
+   * get a chunk, marking it as most recently used
+   *
+   * @method get
+   *
+   * @param  {String} id – chunk id
+   * @return {Object}    – parsed chunk record, or `undefined`
+   */
+
+  get( id ) {
+    const chunk = this.chunks.get( id );
+
+    if ( !chunk ) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Maps iterate in insertion order, so re-inserting moves it to the end
+    this.chunks.delete( id );
+    this.chunks.set( id, chunk );
+    this.hits++;
+
+    return chunk;
+  }
+
+  /**
+   * add a chunk, evicting least-recently-used chunks to make room
+   *
+   * @method set
+   *
+   * @param  {String}     id    – chunk id
+   * @param  {Object}     chunk – parsed chunk record
+   * @return {ChunkCache}
+   */
+
+  set( id, chunk ) {
+    const size = this.#sizeOf( chunk );
+
+    this.delete( id );
+
+    if ( size > this.maxBytes ) {
+      return this;
+    }
+
+    while ( this.bytes + size > this.maxBytes ) {
+      this.delete( this.chunks.keys().next().value );
+    }
+
+    this.chunks.set( id, chunk );
+    this.bytes += size;
+
+    return this;
+  }
+
+  /**
+   * remove a chunk
+   *
+   * @method delete
+   *
+   * @param  {String}  id – chunk id
+   * @return {Boolean}    – whether the chunk was cached
+   */
+
+  delete( id ) {
+    const chunk = this.chunks.get( id );
+
+    if ( !chunk ) {
+      return false;
+    }
+
+    this.bytes -= this.#sizeOf( chunk );
+    this.chunks.delete( id );
+
+    return true;
+  }
+
+  /**
+   * remove every chunk belonging to a track
+   *
+   * @method invalidate
+   *
+   * @param  {String}     name – track name
+   * @return {ChunkCache}
+   */
+
+  invalidate( name ) {
+    for ( const [ id, chunk ] of this.chunks ) {
+      if ( chunk.name === name ) {
+        this.delete( id );
+      }
+    }
+
+    return this;
+  }
+
+}
@@ -0,0 +1,24 @@
+export default class ChunkCorruptError extends Error {
+
+  /**
+   * ChunkCorruptError constructor
+   *
+   * Thrown when a chunk is in the database but can't be trusted: it's
+   * truncated, fails its checksum, or won't decode.
+   *
+   * @method constructor
+   *
+   * @param  {String}            id     – chunk id
+   * @param  {String}            reason – what's wrong with it
+   * @return {ChunkCorruptError}
+   */
+
+  constructor( id, reason ) {
+    super( `chunk ${ id } is corrupt: ${ reason }` );
+
+    this.name   = 'ChunkCorruptError';
+    this.id     = id;
+    this.reason = reason;
+  }
+
+}
@@ -0,0 +1,22 @@
+export default class ChunkMissingError extends Error {
+
+  /**
+   * ChunkMissingError constructor
+   *
+   * Thrown when a track's metadata lists a chunk that isn't in the
+   * database, usually after a partial write or browser eviction.
+   *
+   * @method constructor
+   *
+   * @param  {String}            id – chunk id
+   * @return {ChunkMissingError}
+   */
+
+  constructor( id ) {
+    super( `chunk ${ id } is missing` );
+
+    this.name = 'ChunkMissingError';
+    this.id   = id;
+  }
+
+}
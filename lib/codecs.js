@@ -0,0 +1,161 @@
+/**
+ * run an ArrayBuffer (or view) through a CompressionStream or
+ * DecompressionStream
+ *
+ * @param  {ArrayBuffer} buffer – input bytes
+ * @param  {Object}      stream – a TransformStream
+ * @return {Promise}            – resolves with an ArrayBuffer
+ */
+
+function transform( buffer, stream ) {
+  const readable = new Blob([ buffer ]).stream().pipeThrough( stream );
+  return new Response( readable ).arrayBuffer();
+}
+
+/**
+ * Chunk codecs
+ *
+ * each codec turns a Float32Array of samples into bytes for storage, and
+ * back again. the codec a track was saved with is recorded in its metadata,
+ * so tracks saved with different codecs can live side by side.
+ *
+ *   float32  – raw 32-bit floats, 4 bytes per sample (the original format)
+ *   int16    – 16-bit PCM, 2 bytes per sample. lossy, but inaudibly so for
+ *              most material
+ *   lossless – 32-bit floats, byte-shuffled and deflated. bit-exact
+ */
+
+export default {
+
+  float32: {
+
+    /**
+     * @method encode
+     *
+     * @param  {Float32Array} f32 – audio data
+     * @return {Promise}          – resolves with a Uint8Array
+     */
+
+    async encode( f32 ) {
+      return new Uint8Array( f32.buffer, f32.byteOffset, f32.byteLength );
+    },
+
+    /**
+     * @method decode
+     *
+     * @param  {ArrayBuffer} buffer – encoded audio data
+     * @return {Promise}            – resolves with a Float32Array
+     */
+
+    async decode( buffer ) {
+      return new Float32Array( buffer );
+    }
+
+  },
+
+  int16: {
+
+    /**
+     * @method encode
+     *
+     * @param  {Float32Array} f32 – audio data
+     * @return {Promise}          – resolves with a Uint8Array
+     */
+
+    async encode( f32 ) {
+      const i16 = new Int16Array( f32.length );
+
+      for ( let i = 0, len = f32.length; i < len; ++i ) {
+        const sample = Math.max( -1, Math.min( 1, f32[ i ] ) );
+        i16[ i ] = Math.round( sample < 0 ? sample * 0x8000 : sample * 0x7fff );
+      }
+
+      return new Uint8Array( i16.buffer );
+    },
+
+    /**
+     * @method decode
+     *
+     * @param  {ArrayBuffer} buffer – encoded audio data
+     * @return {Promise}            – resolves with a Float32Array
+     */
+
+    async decode( buffer ) {
+      const i16 = new Int16Array( buffer );
+      const f32 = new Float32Array( i16.length );
+
+      for ( let i = 0, len = i16.length; i < len; ++i ) {
+        f32[ i ] = i16[ i ] < 0 ? i16[ i ] / 0x8000 : i16[ i ] / 0x7fff;
+      }
+
+      return f32;
+    }
+
+  },
+
+  lossless: {
+
+    /**
+     * group the bytes of each float together (all of the first bytes, then
+     * all of the second bytes...) before deflating. the sign/exponent bytes
+     * barely change between neighbouring samples, so they compress well.
+     *
+     * output is a 4-byte length followed by the deflated data, so trailing
+     * padding added by string storage is ignored on decode.
+     *
+     * @method encode
+     *
+     * @param  {Float32Array} f32 – audio data
+     * @return {Promise}          – resolves with a Uint8Array
+     */
+
+    async encode( f32 ) {
+      const { buffer, byteOffset, byteLength } = f32;
+
+      const bytes    = new Uint8Array( buffer, byteOffset, byteLength );
+      const length   = f32.length;
+      const shuffled = new Uint8Array( bytes.length );
+
+      for ( let i = 0; i < length; ++i ) {
+        for ( let j = 0; j < 4; ++j ) {
+          shuffled[ j * length + i ] = bytes[ i * 4 + j ];
+        }
+      }
+
+      const stream     = new CompressionStream('deflate');
+      const compressed = await transform( shuffled, stream );
+      const output     = new Uint8Array( compressed.byteLength + 4 );
+
+      new DataView( output.buffer ).setUint32( 0, compressed.byteLength );
+      output.set( new Uint8Array( compressed ), 4 );
+
+      return output;
+    },
+
+    /**
+     * @method decode
+     *
+     * @param  {ArrayBuffer} buffer – encoded audio data
+     * @return {Promise}            – resolves with a Float32Array
+     */
+
+    async decode( buffer ) {
+      const size     = new DataView( buffer ).getUint32( 0 );
+      const stream   = new DecompressionStream('deflate');
+      const data     = new Uint8Array( buffer, 4, size );
+      const shuffled = new Uint8Array( await transform( data, stream ) );
+      const length   = shuffled.length / 4;
+      const bytes    = new Uint8Array( shuffled.length );
+
+      for ( let i = 0; i < length; ++i ) {
+        for ( let j = 0; j < 4; ++j ) {
+          bytes[ i * 4 + j ] = shuffled[ j * length + i ];
+        }
+      }
+
+      return new Float32Array( bytes.buffer );
+    }
+
+  }
+
+};
@@ -1,5 +1,85 @@
 export default class DB {
 
+  /**
+   * object store names and their key paths
+   *
+   * every storage backend exposes these stores, so `AudioStore` can be
+   * given any backend that implements the same methods as `DB`:
+   * `init`, `getRecord`, `getRecords`, `getRecordRange`, `getAllRecords`,
+   * `saveRecords` and `deleteRecords`.
+   *
+   * @property stores
+   */
+
+  static stores = { chunks: 'id', metadata: 'name', peaks: 'id' };
+
+  /**
+   * schema migrations, keyed by the version they upgrade the database to
+   *
+   * each migration is called with the IDBDatabase and the versionchange
+   * transaction, and may return a Promise. when a user's database is
+   * behind, every migration newer than their version runs in order.
+   * never edit a migration that has shipped, add a new version instead.
+   *
+   * @property migrations
+   */
+
+  static migrations = {
+    1( db ) {
+      const chunks = db.createObjectStore( 'chunks', { keyPath: 'id' } );
+      const meta   = db.createObjectStore( 'metadata', { keyPath: 'name' } );
+
+      chunks.createIndex( 'id', 'id', { unique: true } );
+      meta.createIndex( 'name', 'name', { unique: true } );
+    },
+
+    // waveform peak pages (see peakbuilder.js)
+    2( db ) {
+      db.createObjectStore( 'peaks', { keyPath: 'id' } );
+    }
+  };
+
+  /**
+   * rewrite every record in a store from inside a migration
+   *
+   * `fn` receives each record and returns the record to save in its
+   * place, or `null` to delete it.
+   *
+   * @method rewriteRecords
+   *
+   * @param  {IDBTransaction} transaction – the versionchange transaction
+   * @param  {String}         storename   – the objectStore name
+   * @param  {Function}       fn          – record transform
+   * @return {Promise}                    – resolves with `true`
+   */
+
+  static rewriteRecords( transaction, storename, fn ) {
+    return new Promise( ( resolve, reject ) => {
+      const store   = transaction.objectStore( storename );
+      const request = store.openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+
+        if ( !cursor ) {
+          return resolve( true );
+        }
+
+        const record = fn( cursor.value );
+
+        if ( record === null ) {
+          cursor.delete();
+        } else {
+          cursor.update( record );
+        }
+
+        cursor.continue();
+      };
+
+      request.onerror = reject;
+    });
+  }
+
   /**
    * DB constructor
    *
@@ -9,8 +89,10 @@ export default class DB {
    */
 
   constructor() {
+    const versions = Object.keys( DB.migrations ).map( Number );
+
     this.name    = 'AudioStore';
-    this.version = 1;
+    this.version = Math.max( ...versions );
   }
 
   /**
@@ -23,57 +105,58 @@ export default class DB {
 
   init() {
     return new Promise( ( resolve, reject ) => {
-      const req = window.indexedDB.open( this.name, this.version );
+      const req = self.indexedDB.open( this.name, this.version );
 
-      let exists = true;
+      let error = null;
 
       req.onsuccess = ev => {
-        if ( exists ) {
-          const log = `database ${ this.name } v${ this.version } exists`;
-          console.info( log );
-          this.db = ev.target.result;
-          resolve( this );
-        }
+        const log = `database ${ this.name } v${ this.version } ready`;
+        console.info( log );
+        this.db = ev.target.result;
+        // let newer versions open in other tabs instead of blocking them
+        this.db.onversionchange = () => this.db.close();
+        resolve( this );
       };
 
       req.onupgradeneeded = ev => {
-        this.db = ev.target.result;
+        const db          = ev.target.result;
+        const transaction = req.transaction;
 
-        if ( this.db.version === this.version ) {
-          exists = false;
-          this.#createStores( this.db ).then( () => {
-            const log = `database ${ this.name } v${ this.version } created`;
-            console.info( log );
-            resolve( this );
-          });
-        }
+        this.#migrate( db, transaction, ev.oldVersion ).catch( err => {
+          error = err;
+          transaction.abort();
+        });
       };
 
-      req.onerror = reject;
+      req.onerror = ev => reject( error || ev );
     });
   }
 
   /**
-   * create database stores
+   * run every migration newer than `from`, in order
    *
-   * @private createStores
+   * @private migrate
    *
-   * @param  {IndexedDB} db – IndexedDB instance
-   * @return {Promise}      – resolves with IndexedDB instance
+   * @param  {IDBDatabase}    db          – IndexedDB instance
+   * @param  {IDBTransaction} transaction – the versionchange transaction
+   * @param  {Number}         from        – the current database version
+   * @return {Promise}                    – resolves with IndexedDB instance
    */
 
-  #createStores( db ) {
-    return new Promise( ( resolve, reject ) => {
-      const chunks = db.createObjectStore( 'chunks', { keyPath: 'id' } );
-      const meta   = db.createObjectStore( 'metadata', { keyPath: 'name' } );
+  async #migrate( db, transaction, from ) {
+    const versions = Object.keys( DB.migrations )
+    .map( Number )
+    .filter( version => version > from && version <= this.version )
+    .sort( ( a, b ) => a - b );
 
-      chunks.createIndex( 'id', 'id', { unique: true } );
-      meta.createIndex( 'name', 'name', { unique: true } );
+    for ( const version of versions ) {
+      // requests keep the versionchange transaction alive, so it's safe
+      // for a migration to await them
+      await DB.migrations[ version ]( db, transaction );
+      console.info( `database ${ this.name } migrated to v${ version }` );
+    }
 
-      // these share a common transaction, so no need to bind both
-      chunks.transaction.oncomplete = () => resolve( db );
-      chunks.transaction.onerror = reject;
-    });
+    return db;
   }
 
   /**
@@ -88,7 +171,7 @@ export default class DB {
 
   getRecord( storename, id ) {
     return new Promise( ( resolve, reject ) => {
-      const transaction = this.db.transaction( storename, 'readwrite' );
+      const transaction = this.db.transaction( storename, 'readonly' );
       const store       = transaction.objectStore( storename );
       const request     = store.get( id );
 
@@ -97,6 +180,35 @@ export default class DB {
     });
   }
 
+  /**
+   * get several records from the database in a single read-only
+   * transaction. missing records are `undefined`
+   *
+   * @method getRecords
+   *
+   * @param  {String}  storename – the objectStore name
+   * @param  {Array}   ids       – array of record ids
+   * @return {Promise}           – resolves with an array of records
+   */
+
+  getRecords( storename, ids ) {
+    return new Promise( ( resolve, reject ) => {
+      const transaction = this.db.transaction( storename, 'readonly' );
+      const store       = transaction.objectStore( storename );
+      const records     = new Array( ids.length );
+
+      ids.forEach( ( id, i ) => {
+        const request = store.get( id );
+        request.onsuccess = () => {
+          records[ i ] = request.result;
+        };
+      });
+
+      transaction.oncomplete = () => resolve( records );
+      transaction.onerror = reject;
+    });
+  }
+
   /**
    * save an array of records to the database
    *
@@ -114,6 +226,74 @@ export default class DB {
 
       records.forEach( record => store.put( record ) );
 
+      transaction.oncomplete = () => resolve( true );
+      transaction.onerror = reject;
+      // quota errors abort the transaction rather than erroring a request
+      transaction.onabort = () => reject( transaction.error );
+    });
+  }
+
+  /**
+   * get every record in a store
+   *
+   * @method getAllRecords
+   *
+   * @param  {String}  storename – the objectStore name
+   * @return {Promise}           – resolves with an array of records
+   */
+
+  getAllRecords( storename ) {
+    return new Promise( ( resolve, reject ) => {
+      const transaction = this.db.transaction( storename, 'readonly' );
+      const store       = transaction.objectStore( storename );
+      const request     = store.getAll();
+
+      request.onsuccess = () => resolve( request.result );
+      request.onerror = reject;
+    });
+  }
+
+  /**
+   * get every record whose key falls between `lower` and `upper`
+   * (inclusive), in key order
+   *
+   * @method getRecordRange
+   *
+   * @param  {String}  storename – the objectStore name
+   * @param  {String}  lower     – lowest key to include
+   * @param  {String}  upper     – highest key to include
+   * @return {Promise}           – resolves with an array of records
+   */
+
+  getRecordRange( storename, lower, upper ) {
+    return new Promise( ( resolve, reject ) => {
+      const transaction = this.db.transaction( storename, 'readonly' );
+      const store       = transaction.objectStore( storename );
+      const range       = IDBKeyRange.bound( lower, upper );
+      const request     = store.getAll( range );
+
+      request.onsuccess = () => resolve( request.result );
+      request.onerror = reject;
+    });
+  }
+
+  /**
+   * delete an array of records from the database
+   *
+   * @method deleteRecords
+   *
+   * @param  {String}  storename – the objectStore name
+   * @param  {Array}   ids       – array of record ids to delete
+   * @return {Promise}           – resolves with `true`
+   */
+
+  deleteRecords( storename, ids ) {
+    return new Promise( ( resolve, reject ) => {
+      const transaction = this.db.transaction( storename, 'readwrite' );
+      const store       = transaction.objectStore( storename );
+
+      ids.forEach( id => store.delete( id ) );
+
       transaction.oncomplete = () => resolve( true );
       transaction.onerror = reject;
     });
@@ -0,0 +1,117 @@
+const SQRT_HALF = Math.SQRT1_2;
+
+// standard downmix matrices (the Web Audio "speakers" rules), keyed by
+// output mode and then by input channel count. each output channel is a
+// list of `[ input channel, gain ]` pairs. 5.1 is ordered L, R, C, LFE,
+// SL, SR, and the LFE channel is dropped.
+const MATRICES = {
+  mono: {
+    1: [ [ [ 0, 1 ] ] ],
+    2: [ [ [ 0, 0.5 ], [ 1, 0.5 ] ] ],
+    4: [ [ [ 0, 0.25 ], [ 1, 0.25 ], [ 2, 0.25 ], [ 3, 0.25 ] ] ],
+    6: [
+      [ [ 0, SQRT_HALF ], [ 1, SQRT_HALF ], [ 2, 1 ], [ 4, 0.5 ], [ 5, 0.5 ] ]
+    ]
+  },
+  stereo: {
+    1: [ [ [ 0, 1 ] ], [ [ 0, 1 ] ] ],
+    2: [ [ [ 0, 1 ] ], [ [ 1, 1 ] ] ],
+    4: [ [ [ 0, 0.5 ], [ 2, 0.5 ] ], [ [ 1, 0.5 ], [ 3, 0.5 ] ] ],
+    6: [
+      [ [ 0, 1 ], [ 2, SQRT_HALF ], [ 4, SQRT_HALF ] ],
+      [ [ 1, 1 ], [ 2, SQRT_HALF ], [ 5, SQRT_HALF ] ]
+    ]
+  }
+};
+
+/**
+ * Channel maps and downmixing
+ *
+ * a channel matrix is an array with one entry per output channel, each a
+ * list of `[ input channel, gain ]` pairs. input channels that don't appear
+ * anywhere in the matrix never need to be read.
+ */
+
+export default {
+
+  /**
+   * the supported downmix modes
+   */
+
+  modes: Object.keys( MATRICES ),
+
+  /**
+   * build a channel matrix from a channel map or a downmix mode
+   *
+   * a channel map is an array of input channel indexes, one per output
+   * channel: `[ 1 ]` is the right side of a stereo track on its own, and
+   * `[ 0, 0 ]` is the left side on both sides. a mode is `mono` or
+   * `stereo`. channel map indexes are assumed to be in range.
+   *
+   * @method matrix
+   *
+   * @param  {Array|String} map   – channel map or downmix mode (defaults to
+   *                                every channel, unchanged)
+   * @param  {Number}       count – number of input channels
+   * @return {Array}              – channel matrix
+   */
+
+  matrix( map, count ) {
+    if ( typeof map === 'string' ) {
+      if ( !Object.hasOwn( MATRICES, map ) ) {
+        throw new Error( `unknown downmix mode ${ map }` );
+      }
+
+      // anything without a standard layout just gets averaged to mono
+      if ( map === 'mono' && !MATRICES.mono[ count ] ) {
+        const gain = 1 / count;
+        return [ Array.from( { length: count }, ( v, i ) => [ i, gain ] ) ];
+      }
+
+      if ( !MATRICES[ map ][ count ] ) {
+        throw new Error( `can't downmix ${ count } channels to ${ map }` );
+      }
+
+      return MATRICES[ map ][ count ];
+    }
+
+    if ( !map ) {
+      return Array.from( { length: count }, ( v, i ) => [ [ i, 1 ] ] );
+    }
+
+    return map.map( i => [ [ i, 1 ] ] );
+  },
+
+  /**
+   * get the input channels a matrix actually reads, in ascending order
+   *
+   * @method sources
+   *
+   * @param  {Array} matrix – channel matrix
+   * @return {Array}        – input channel indexes
+   */
+
+  sources( matrix ) {
+    const indexes = matrix.flatMap( row => row.map( ([ i ]) => i ) );
+    return [ ...new Set( indexes ) ].sort( ( a, b ) => a - b );
+  },
+
+  /**
+   * check whether a matrix just passes `sources` through unchanged
+   *
+   * @method isIdentity
+   *
+   * @param  {Array}   matrix – channel matrix
+   * @return {Boolean}
+   */
+
+  isIdentity( matrix ) {
+    const sources = this.sources( matrix );
+
+    return matrix.length === sources.length && matrix.every( ( row, j ) => {
+      return row.length === 1 && row[ 0 ][ 0 ] === sources[ j ] &&
+        row[ 0 ][ 1 ] === 1;
+    });
+  }
+
+};
@@ -0,0 +1,35 @@
+export default class FetchError extends Error {
+
+  /**
+   * FetchError constructor
+   *
+   * Thrown when the server answers a request for an audio asset with an
+   * error status. `Streamer` retries the ones that might be temporary.
+   *
+   * @method constructor
+   *
+   * @param  {String}     url    – requested url
+   * @param  {Number}     status – HTTP status code
+   * @return {FetchError}
+   */
+
+  constructor( url, status ) {
+    super( `failed to fetch ${ url }: ${ status }` );
+
+    this.name   = 'FetchError';
+    this.url    = url;
+    this.status = status;
+  }
+
+  /**
+   * whether trying again later might work (server errors, timeouts and
+   * rate limiting)
+   *
+   * @property retryable
+   */
+
+  get retryable() {
+    return this.status >= 500 || this.status === 408 || this.status === 429;
+  }
+
+}
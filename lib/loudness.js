@@ -0,0 +1,323 @@
+// gating block length and step, in seconds (ITU-R BS.1770)
+const BLOCK = 0.4;
+const STEP  = 0.1;
+
+// gating thresholds, in LUFS and LU
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// true peak interpolation filter taps per phase
+const TAPS = 12;
+
+/**
+ * get the K-weighting filter (a high shelf then a high pass) for a sample
+ * rate, as two biquads of `[ b0, b1, b2, a1, a2 ]`
+ *
+ * @param  {Number} rate – sample rate
+ * @return {Array}       – biquad coefficients
+ */
+
+function kWeighting( rate ) {
+  let K = Math.tan( Math.PI * 1681.974450955533 / rate );
+  let Q = 0.7071752369554196;
+
+  const Vh = Math.pow( 10, 3.999843853973347 / 20 );
+  const Vb = Math.pow( Vh, 0.4996667741545416 );
+
+  let a0 = 1 + K / Q + K * K;
+
+  const shelf = [
+    ( Vh + Vb * K / Q + K * K ) / a0,
+    2 * ( K * K - Vh ) / a0,
+    ( Vh - Vb * K / Q + K * K ) / a0,
+    2 * ( K * K - 1 ) / a0,
+    ( 1 - K / Q + K * K ) / a0
+  ];
+
+  K = Math.tan( Math.PI * 38.13547087602444 / rate );
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+
+  const highpass = [
+    1,
+    -2,
+    1,
+    2 * ( K * K - 1 ) / a0,
+    ( 1 - K / Q + K * K ) / a0
+  ];
+
+  return [ shelf, highpass ];
+}
+
+/**
+ * get the windowed-sinc filter that interpolates `factor` points between
+ * samples, one set of `TAPS` coefficients per phase
+ *
+ * @param  {Number} factor – oversampling factor
+ * @return {Array}         – array of Float32Arrays
+ */
+
+function interpolator( factor ) {
+  const half = TAPS / 2;
+
+  return Array.from( { length: factor }, ( v, phase ) => {
+    const taps = Float32Array.from( { length: TAPS }, ( w, k ) => {
+      const x      = phase / factor - k + half - 1;
+      const sinc   = x === 0 ? 1 : Math.sin( Math.PI * x ) / ( Math.PI * x );
+      const window = 0.5 + 0.5 * Math.cos( Math.PI * x / half );
+
+      return sinc * window;
+    });
+
+    // unity gain at DC
+    const sum = taps.reduce( ( a, b ) => a + b );
+    return taps.map( tap => tap / sum );
+  });
+}
+
+/**
+ * convert a power to decibels, or `null` for silence
+ *
+ * @param  {Number} power  – mean square (or squared peak)
+ * @param  {Number} offset – dB offset
+ * @return {Number}
+ */
+
+function decibels( power, offset = 0 ) {
+  return power > 0 ? offset + 10 * Math.log10( power ) : null;
+}
+
+export default class LoudnessMeter {
+
+  /**
+   * LoudnessMeter constructor
+   *
+   * Measures integrated loudness (EBU R128 / ITU-R BS.1770, in LUFS), true
+   * peak (dBTP) and RMS level (dBFS) from channel data blocks as they
+   * stream past. only the gating block levels are kept, so memory use
+   * barely grows with the length of the track. 5.1 tracks are weighted
+   * L, R, C, LFE, SL, SR as the standard says, with the LFE left out.
+   *
+   * @method constructor
+   *
+   * @param  {Number}        channels – number of channels
+   * @param  {Number}        rate     – sample rate
+   * @return {LoudnessMeter}
+   */
+
+  constructor( channels, rate ) {
+    this.channels = channels;
+    this.rate     = rate;
+    this.weights  = channels === 6 ?
+      [ 1, 1, 1, 0, 1.41, 1.41 ] :
+      new Array( channels ).fill( 1 );
+
+    this.filters = kWeighting( rate );
+    // filter state per channel: the last two inputs, shelf outputs (which
+    // are also the high pass inputs) and high pass outputs
+    this.state   = Array.from( { length: channels }, () => {
+      return new Float64Array( 6 );
+    });
+
+    // K-weighted sum of squares of each step, per channel
+    this.step    = Math.round( rate * STEP );
+    this.fill    = 0;
+    this.sums    = new Float64Array( channels );
+    this.recent  = [];
+    this.powers  = [];
+
+    // true peak oversamples to at least 192k
+    this.factor  = rate < 96000 ? 4 : rate < 192000 ? 2 : 1;
+    this.phases  = interpolator( this.factor );
+    // the last few samples of each channel, filled in by the first block
+    this.history = null;
+    this.peak    = 0;
+
+    this.squares = 0;
+    this.samples = 0;
+  }
+
+  /**
+   * finish a step, and the gating block that ends with it
+   *
+   * @private endStep
+   *
+   * @return {Undefined}
+   */
+
+  #endStep() {
+    this.recent.push( this.sums );
+    this.sums = new Float64Array( this.channels );
+    this.fill = 0;
+
+    const steps = Math.round( BLOCK / STEP );
+
+    if ( this.recent.length < steps ) {
+      return;
+    }
+
+    this.recent = this.recent.slice( -steps );
+
+    let power = 0;
+
+    for ( let c = 0; c < this.channels; ++c ) {
+      const sum = this.recent.reduce( ( total, sums ) => total + sums[ c ], 0 );
+      power += this.weights[ c ] * sum / ( steps * this.step );
+    }
+
+    this.powers.push( power );
+  }
+
+  /**
+   * find the true peak of a block by interpolating between its samples
+   *
+   * @private truePeak
+   *
+   * @param  {Array} block – array of Float32Arrays, one per channel
+   * @return {Undefined}
+   */
+
+  #truePeak( block ) {
+    if ( !block[ 0 ].length ) {
+      return;
+    }
+
+    // hold the first sample before the start, rather than rising to it
+    // from silence, which would overshoot like any other step
+    if ( !this.history ) {
+      this.history = block.map( data => {
+        return new Float32Array( TAPS - 1 ).fill( data[ 0 ] );
+      });
+    }
+
+    block.forEach( ( data, c ) => {
+      const history = this.history[ c ];
+      const joined  = new Float32Array( history.length + data.length );
+
+      joined.set( history );
+      joined.set( data, history.length );
+
+      let peak = this.peak;
+
+      for ( let i = 0, len = joined.length - TAPS; i <= len; ++i ) {
+        for ( let p = 0; p < this.factor; ++p ) {
+          const taps = this.phases[ p ];
+
+          let value = 0;
+
+          for ( let k = 0; k < TAPS; ++k ) {
+            value += joined[ i + k ] * taps[ k ];
+          }
+
+          peak = Math.max( peak, Math.abs( value ) );
+        }
+      }
+
+      this.peak = peak;
+      this.history[ c ] = joined.slice( joined.length - history.length );
+    });
+  }
+
+  /**
+   * add a block of channel data
+   *
+   * @method push
+   *
+   * @param  {Array}         block – array of Float32Arrays, one per channel
+   * @return {LoudnessMeter}
+   */
+
+  push( block ) {
+    const length = block[ 0 ].length;
+
+    for ( let pos = 0; pos < length; ) {
+      const count = Math.min( this.step - this.fill, length - pos );
+
+      for ( let c = 0; c < this.channels; ++c ) {
+        const data  = block[ c ];
+        const state = this.state[ c ];
+
+        const [ [ b0, b1, b2, a1, a2 ], [ c0, c1, c2, d1, d2 ] ] = this.filters;
+
+        // this is the hot loop, so the filters are unrolled into locals
+        let [ x1, x2, y1, y2, v1, v2 ] = state;
+
+        let sum     = 0;
+        let squares = 0;
+
+        for ( let i = pos; i < pos + count; ++i ) {
+          const x = data[ i ];
+          const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+          const v = c0 * y + c1 * y1 + c2 * y2 - d1 * v1 - d2 * v2;
+
+          x2 = x1;
+          x1 = x;
+          y2 = y1;
+          y1 = y;
+          v2 = v1;
+          v1 = v;
+
+          sum += v * v;
+          squares += x * x;
+        }
+
+        state.set([ x1, x2, y1, y2, v1, v2 ]);
+
+        this.sums[ c ] += sum;
+        this.squares += squares;
+      }
+
+      this.fill += count;
+      pos += count;
+
+      if ( this.fill === this.step ) {
+        this.#endStep();
+      }
+    }
+
+    this.samples += length;
+    this.#truePeak( block );
+
+    return this;
+  }
+
+  /**
+   * finish measuring. levels are `null` for silence, and `integrated` is
+   * also `null` for anything shorter than a gating block (400ms)
+   *
+   * @method finish
+   *
+   * @return {Object} – `{ integrated, truePeak, rms }`
+   */
+
+  finish() {
+    // flush the last few samples through the true peak filter, holding the
+    // last one rather than dropping to silence (for the same reason)
+    if ( this.history ) {
+      this.#truePeak( this.history.map( history => {
+        const last = history[ history.length - 1 ];
+        return new Float32Array( TAPS / 2 ).fill( last );
+      }) );
+    }
+
+    const loudness = power => decibels( power, -0.691 );
+    const mean     = powers => {
+      return powers.reduce( ( a, b ) => a + b, 0 ) / powers.length;
+    };
+
+    const audible   = this.powers.filter( p => loudness( p ) > ABSOLUTE_GATE );
+    const threshold = audible.length ?
+      loudness( mean( audible ) ) + RELATIVE_GATE :
+      null;
+    const gated     = audible.filter( p => loudness( p ) > threshold );
+
+    const samples = this.samples * this.channels;
+
+    return {
+      integrated: gated.length ? loudness( mean( gated ) ) : null,
+      truePeak: decibels( this.peak * this.peak ),
+      rms: samples ? decibels( this.squares / samples ) : null
+    };
+  }
+
+}
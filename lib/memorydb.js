@@ -0,0 +1,177 @@
+import DB from './db.js';
+
+export default class MemoryDB {
+
+  /**
+   * MemoryDB constructor
+   *
+   * Drop-in replacement for `DB` that keeps records in memory. Nothing
+   * survives a page load, so it's meant for tests and short-lived sessions.
+   *
+   * @method constructor
+   *
+   * @return {MemoryDB}
+   */
+
+  constructor() {
+    this.name   = 'AudioStore';
+    this.stores = new Map();
+  }
+
+  /**
+   * initialize the database
+   *
+   * @method init
+   *
+   * @return {Promise} – resolves with a MemoryDB instance
+   */
+
+  async init() {
+    Object.keys( DB.stores ).forEach( storename => {
+      if ( !this.stores.has( storename ) ) {
+        this.stores.set( storename, new Map() );
+      }
+    });
+
+    console.info( `database ${ this.name } (memory) ready` );
+
+    return this;
+  }
+
+  /**
+   * get a store's Map of records by key
+   *
+   * @private store
+   *
+   * @param  {String} storename – the store name
+   * @return {Map}
+   */
+
+  #store( storename ) {
+    if ( !this.stores.has( storename ) ) {
+      throw new Error( `store ${ storename } does not exist` );
+    }
+
+    return this.stores.get( storename );
+  }
+
+  /**
+   * get records in key order, optionally limited to a range
+   *
+   * @private sorted
+   *
+   * @param  {String}   storename – the store name
+   * @param  {Function} [test]    – key filter
+   * @return {Array}              – array of records
+   */
+
+  #sorted( storename, test = () => true ) {
+    const store = this.#store( storename );
+
+    return [ ...store.keys() ]
+    .filter( test )
+    .sort( ( a, b ) => a < b ? -1 : a > b ? 1 : 0 )
+    .map( key => structuredClone( store.get( key ) ) );
+  }
+
+  /**
+   * get a record from the database
+   *
+   * @method getRecord
+   *
+   * @param  {String}  storename – the store name
+   * @param  {String}  id        – the record's id
+   * @return {Promise}           – resolves with a record
+   */
+
+  async getRecord( storename, id ) {
+    const record = this.#store( storename ).get( id );
+
+    // copy, like IndexedDB does, so callers can't mutate stored records
+    return record === undefined ? record : structuredClone( record );
+  }
+
+  /**
+   * get several records from the database. missing records are
+   * `undefined`
+   *
+   * @method getRecords
+   *
+   * @param  {String}  storename – the store name
+   * @param  {Array}   ids       – array of record ids
+   * @return {Promise}           – resolves with an array of records
+   */
+
+  async getRecords( storename, ids ) {
+    return Promise.all( ids.map( id => this.getRecord( storename, id ) ) );
+  }
+
+  /**
+   * save an array of records to the database
+   *
+   * @method saveRecords
+   *
+   * @param  {String}  storename – the store name
+   * @param  {Array}   records   – array of records to upsert
+   * @return {Promise}           – resolves with `true`
+   */
+
+  async saveRecords( storename, records ) {
+    const store   = this.#store( storename );
+    const keyPath = DB.stores[ storename ];
+
+    records.forEach( record => {
+      store.set( record[ keyPath ], structuredClone( record ) );
+    });
+
+    return true;
+  }
+
+  /**
+   * get every record in a store
+   *
+   * @method getAllRecords
+   *
+   * @param  {String}  storename – the store name
+   * @return {Promise}           – resolves with an array of records
+   */
+
+  async getAllRecords( storename ) {
+    return this.#sorted( storename );
+  }
+
+  /**
+   * get every record whose key falls between `lower` and `upper`
+   * (inclusive), in key order
+   *
+   * @method getRecordRange
+   *
+   * @param  {String}  storename – the store name
+   * @param  {String}  lower     – lowest key to include
+   * @param  {String}  upper     – highest key to include
+   * @return {Promise}           – resolves with an array of records
+   */
+
+  async getRecordRange( storename, lower, upper ) {
+    return this.#sorted( storename, key => key >= lower && key <= upper );
+  }
+
+  /**
+   * delete an array of records from the database
+   *
+   * @method deleteRecords
+   *
+   * @param  {String}  storename – the store name
+   * @param  {Array}   ids       – array of record ids to delete
+   * @return {Promise}           – resolves with `true`
+   */
+
+  async deleteRecords( storename, ids ) {
+    const store = this.#store( storename );
+
+    ids.forEach( id => store.delete( id ) );
+
+    return true;
+  }
+
+}
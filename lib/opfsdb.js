@@ -0,0 +1,319 @@
+import DB from './db.js';
+
+// typed arrays that can be stored in records, by constructor name
+const TYPED_ARRAYS = {
+  Int8Array,
+  Uint8Array,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array
+};
+
+export default class OPFSDB {
+
+  /**
+   * OPFSDB constructor
+   *
+   * Drop-in replacement for `DB` that stores records in the Origin Private
+   * File System. Each store is a directory and each record is a file named
+   * after its (URI-encoded) key.
+   *
+   * Records are written with `createWritable()`, which swaps the new file
+   * into place on close. Unlike `DB`, a multi-record save is not atomic.
+   *
+   * @method constructor
+   *
+   * @return {OPFSDB}
+   */
+
+  constructor() {
+    this.name = 'AudioStore';
+    this.dirs = {};
+  }
+
+  /**
+   * initialize the database
+   *
+   * @method init
+   *
+   * @return {Promise} – resolves with an OPFSDB instance
+   */
+
+  async init() {
+    const root = await navigator.storage.getDirectory();
+    const dir  = await root.getDirectoryHandle( this.name, { create: true } );
+
+    for ( const storename of Object.keys( DB.stores ) ) {
+      const opts = { create: true };
+      this.dirs[ storename ] = await dir.getDirectoryHandle( storename, opts );
+    }
+
+    console.info( `database ${ this.name } (opfs) ready` );
+
+    return this;
+  }
+
+  /**
+   * get a store's directory handle
+   *
+   * @private dir
+   *
+   * @param  {String}                    storename – the store name
+   * @return {FileSystemDirectoryHandle}
+   */
+
+  #dir( storename ) {
+    if ( !this.dirs[ storename ] ) {
+      throw new Error( `store ${ storename } does not exist` );
+    }
+
+    return this.dirs[ storename ];
+  }
+
+  /**
+   * serialize a record to a Blob
+   *
+   * the file is a 4-byte header length, a JSON header, and then the raw
+   * contents of any Blobs and typed arrays in the record. they're replaced
+   * in the header by their position in the file, so Blobs can be read back
+   * lazily.
+   *
+   * @private serialize
+   *
+   * @param  {Object} record – record to serialize
+   * @return {Blob}
+   */
+
+  #serialize( record ) {
+    const blobs = [];
+
+    let offset = 0;
+
+    const json = JSON.stringify( record, ( key, value ) => {
+      if ( value instanceof Blob ) {
+        const marker = { $blob: offset, size: value.size, type: value.type };
+        blobs.push( value );
+        offset += value.size;
+        return marker;
+      }
+
+      if ( ArrayBuffer.isView( value ) ) {
+        const type   = value.constructor.name;
+        const size   = value.byteLength;
+        const marker = { $blob: offset, size, $typed: type };
+        blobs.push( new Blob([ value ]) );
+        offset += size;
+        return marker;
+      }
+
+      return value;
+    });
+
+    const header = new TextEncoder().encode( json );
+    const length = new Uint32Array([ header.byteLength ]);
+
+    return new Blob([ length, header, ...blobs ]);
+  }
+
+  /**
+   * deserialize a record from a File
+   *
+   * @private deserialize
+   *
+   * @param  {File}    file – serialized record
+   * @return {Promise}      – resolves with a record
+   */
+
+  async #deserialize( file ) {
+    const prefix     = await file.slice( 0, 4 ).arrayBuffer();
+    const [ length ] = new Uint32Array( prefix );
+    const json       = await file.slice( 4, 4 + length ).text();
+    const base       = 4 + length;
+    const typed      = [];
+
+    const record = JSON.parse( json, function( key, value ) {
+      if ( value && typeof value.$blob === 'number' ) {
+        const start = base + value.$blob;
+        const blob  = file.slice( start, start + value.size, value.type );
+
+        // typed arrays have to be read now, so fill them in afterwards
+        if ( Object.hasOwn( TYPED_ARRAYS, value.$typed ) ) {
+          typed.push({ holder: this, key, blob, type: value.$typed });
+        }
+
+        return blob;
+      }
+
+      return value;
+    });
+
+    await Promise.all( typed.map( async({ holder, key, blob, type }) => {
+      holder[ key ] = new TYPED_ARRAYS[ type ]( await blob.arrayBuffer() );
+    }) );
+
+    return record;
+  }
+
+  /**
+   * get the records in a directory whose keys pass `test`, in key order
+   *
+   * @private readDir
+   *
+   * @param  {String}   storename – the store name
+   * @param  {Function} [test]    – key filter
+   * @return {Promise}            – resolves with an array of records
+   */
+
+  async #readDir( storename, test = () => true ) {
+    const dir     = this.#dir( storename );
+    const handles = new Map();
+
+    for await ( const [ filename, handle ] of dir.entries() ) {
+      const key = decodeURIComponent( filename );
+
+      if ( handle.kind === 'file' && test( key ) ) {
+        handles.set( key, handle );
+      }
+    }
+
+    const keys = [ ...handles.keys() ].sort( ( a, b ) => {
+      return a < b ? -1 : a > b ? 1 : 0;
+    });
+
+    return Promise.all( keys.map( async key => {
+      return this.#deserialize( await handles.get( key ).getFile() );
+    }) );
+  }
+
+  /**
+   * get a record from the database
+   *
+   * @method getRecord
+   *
+   * @param  {String}  storename – the store name
+   * @param  {String}  id        – the record's id
+   * @return {Promise}           – resolves with a record
+   */
+
+  async getRecord( storename, id ) {
+    const dir = this.#dir( storename );
+
+    let handle;
+
+    try {
+      handle = await dir.getFileHandle( encodeURIComponent( id ) );
+    } catch ( err ) {
+      if ( err.name === 'NotFoundError' ) {
+        return undefined;
+      }
+      throw err;
+    }
+
+    return this.#deserialize( await handle.getFile() );
+  }
+
+  /**
+   * get several records from the database concurrently.
+   * missing records are `undefined`
+   *
+   * @method getRecords
+   *
+   * @param  {String}  storename – the store name
+   * @param  {Array}   ids       – array of record ids
+   * @return {Promise}           – resolves with an array of records
+   */
+
+  async getRecords( storename, ids ) {
+    return Promise.all( ids.map( id => this.getRecord( storename, id ) ) );
+  }
+
+  /**
+   * save an array of records to the database
+   *
+   * @method saveRecords
+   *
+   * @param  {String}  storename – the store name
+   * @param  {Array}   records   – array of records to upsert
+   * @return {Promise}           – resolves with `true`
+   */
+
+  async saveRecords( storename, records ) {
+    const dir     = this.#dir( storename );
+    const keyPath = DB.stores[ storename ];
+
+    await Promise.all( records.map( async record => {
+      const filename = encodeURIComponent( record[ keyPath ] );
+      const handle   = await dir.getFileHandle( filename, { create: true } );
+      const writable = await handle.createWritable();
+
+      try {
+        await writable.write( this.#serialize( record ) );
+        await writable.close();
+      } catch ( err ) {
+        await writable.abort();
+        throw err;
+      }
+    }) );
+
+    return true;
+  }
+
+  /**
+   * get every record in a store
+   *
+   * @method getAllRecords
+   *
+   * @param  {String}  storename – the store name
+   * @return {Promise}           – resolves with an array of records
+   */
+
+  async getAllRecords( storename ) {
+    return this.#readDir( storename );
+  }
+
+  /**
+   * get every record whose key falls between `lower` and `upper`
+   * (inclusive), in key order
+   *
+   * @method getRecordRange
+   *
+   * @param  {String}  storename – the store name
+   * @param  {String}  lower     – lowest key to include
+   * @param  {String}  upper     – highest key to include
+   * @return {Promise}           – resolves with an array of records
+   */
+
+  async getRecordRange( storename, lower, upper ) {
+    return this.#readDir( storename, key => key >= lower && key <= upper );
+  }
+
+  /**
+   * delete an array of records from the database
+   *
+   * @method deleteRecords
+   *
+   * @param  {String}  storename – the store name
+   * @param  {Array}   ids       – array of record ids to delete
+   * @return {Promise}           – resolves with `true`
+   */
+
+  async deleteRecords( storename, ids ) {
+    const dir = this.#dir( storename );
+
+    await Promise.all( ids.map( async id => {
+      try {
+        await dir.removeEntry( encodeURIComponent( id ) );
+      } catch ( err ) {
+        if ( err.name !== 'NotFoundError' ) {
+          throw err;
+        }
+      }
+    }) );
+
+    return true;
+  }
+
+}
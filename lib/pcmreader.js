@@ -0,0 +1,455 @@
+/**
+ * pulls exact byte counts out of a ReadableStream
+ */
+
+class ByteReader {
+
+  /**
+   * ByteReader constructor
+   *
+   * @method constructor
+   *
+   * @param  {ReadableStream} stream – byte stream
+   * @return {ByteReader}
+   */
+
+  constructor( stream ) {
+    this.reader   = stream.getReader();
+    this.queue    = [];
+    this.buffered = 0;
+    this.done     = false;
+  }
+
+  /**
+   * read up to `n` bytes. only returns fewer at the end of the stream
+   *
+   * @method read
+   *
+   * @param  {Number}  n – number of bytes
+   * @return {Promise}   – resolves with a Uint8Array
+   */
+
+  async read( n ) {
+    while ( this.buffered < n && !this.done ) {
+      const { value, done } = await this.reader.read();
+
+      if ( done ) {
+        this.done = true;
+      } else if ( value.length ) {
+        this.queue.push( value );
+        this.buffered += value.length;
+      }
+    }
+
+    const out = new Uint8Array( Math.min( n, this.buffered ) );
+
+    for ( let offset = 0; offset < out.length; ) {
+      const head  = this.queue[ 0 ];
+      const count = Math.min( head.length, out.length - offset );
+
+      out.set( head.subarray( 0, count ), offset );
+      offset += count;
+
+      if ( count === head.length ) {
+        this.queue.shift();
+      } else {
+        this.queue[ 0 ] = head.subarray( count );
+      }
+    }
+
+    this.buffered -= out.length;
+
+    return out;
+  }
+
+  /**
+   * read exactly `n` bytes, or throw
+   *
+   * @method readExactly
+   *
+   * @param  {Number}  n – number of bytes
+   * @return {Promise}   – resolves with a DataView
+   */
+
+  async readExactly( n ) {
+    const bytes = await this.read( n );
+
+    if ( bytes.length < n ) {
+      throw new Error('unexpected end of file');
+    }
+
+    return new DataView( bytes.buffer );
+  }
+
+  /**
+   * discard `n` bytes
+   *
+   * @method skip
+   *
+   * @param  {Number}  n – number of bytes
+   * @return {Promise}
+   */
+
+  async skip( n ) {
+    while ( n > 0 ) {
+      const bytes = await this.read( Math.min( n, 65536 ) );
+
+      if ( !bytes.length ) {
+        return;
+      }
+
+      n -= bytes.length;
+    }
+  }
+
+  /**
+   * stop reading and release the stream
+   *
+   * @method cancel
+   *
+   * @return {Promise}
+   */
+
+  cancel() {
+    return this.reader.cancel();
+  }
+
+}
+
+/**
+ * read a 4-character chunk id
+ *
+ * @param  {DataView} view   – header bytes
+ * @param  {Number}   offset – byte offset
+ * @return {String}
+ */
+
+function fourcc( view, offset ) {
+  let str = '';
+
+  for ( let i = 0; i < 4; ++i ) {
+    str += String.fromCharCode( view.getUint8( offset + i ) );
+  }
+
+  return str;
+}
+
+/**
+ * read an 80-bit IEEE 754 extended float (AIFF sample rates)
+ *
+ * @param  {DataView} view   – header bytes
+ * @param  {Number}   offset – byte offset
+ * @return {Number}
+ */
+
+function extended( view, offset ) {
+  const exponent = view.getUint16( offset ) & 0x7fff;
+  const sign     = view.getUint16( offset ) & 0x8000 ? -1 : 1;
+  const hi       = view.getUint32( offset + 2 );
+  const lo       = view.getUint32( offset + 6 );
+
+  if ( exponent === 0 && hi === 0 && lo === 0 ) {
+    return 0;
+  }
+
+  const mantissa = hi * Math.pow( 2, 32 ) + lo;
+
+  return sign * mantissa * Math.pow( 2, exponent - 16383 - 63 );
+}
+
+export default class PCMReader {
+
+  /**
+   * PCMReader constructor
+   *
+   * Streams uncompressed audio out of RIFF/WAVE and AIFF/AIFF-C files
+   * without decoding the whole file, and without an AudioContext, so it
+   * also works inside Workers.
+   *
+   * Supports 8/16/24/32-bit integer PCM and 32/64-bit float.
+   *
+   * @method constructor
+   *
+   * @param  {ReadableStream|Blob|ArrayBuffer} source – file contents
+   * @return {PCMReader}
+   */
+
+  constructor( source ) {
+    if ( source instanceof ArrayBuffer || ArrayBuffer.isView( source ) ) {
+      source = new Blob([ source ]);
+    }
+
+    if ( source instanceof Blob ) {
+      source = source.stream();
+    }
+
+    this.bytes     = new ByteReader( source );
+    this.format    = null;
+    this.remaining = 0;
+  }
+
+  /**
+   * read the file header and find the start of the sample data
+   *
+   * resolves with `{ rate, channels, bitDepth, float, length }`, where
+   * `length` is the number of sample frames (or `null` if the header
+   * doesn't say)
+   *
+   * @method readFormat
+   *
+   * @return {Promise} – resolves with a format object
+   */
+
+  async readFormat() {
+    if ( this.format ) {
+      return this.format;
+    }
+
+    const header = await this.bytes.readExactly( 12 );
+    const riff   = fourcc( header, 0 );
+    const type   = fourcc( header, 8 );
+
+    if ( riff === 'RIFF' && type === 'WAVE' ) {
+      this.format = await this.#readWave();
+    } else if ( riff === 'FORM' && ( type === 'AIFF' || type === 'AIFC' ) ) {
+      this.format = await this.#readAiff( type === 'AIFC' );
+    } else {
+      throw new Error('not a WAV or AIFF file');
+    }
+
+    return this.format;
+  }
+
+  /**
+   * read RIFF/WAVE chunks up to the start of the `data` chunk
+   *
+   * @private readWave
+   *
+   * @return {Promise} – resolves with a format object
+   */
+
+  async #readWave() {
+    let format = null;
+
+    for ( ;; ) {
+      const chunk = await this.bytes.readExactly( 8 );
+      const id    = fourcc( chunk, 0 );
+      const size  = chunk.getUint32( 4, true );
+
+      if ( id === 'fmt ' ) {
+        const fmt = await this.bytes.readExactly( size + size % 2 );
+
+        let code = fmt.getUint16( 0, true );
+
+        // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+        if ( code === 0xfffe && size >= 26 ) {
+          code = fmt.getUint16( 24, true );
+        }
+
+        if ( code !== 1 && code !== 3 ) {
+          throw new Error( `unsupported WAV format ${ code }` );
+        }
+
+        format = {
+          channels: fmt.getUint16( 2, true ),
+          rate: fmt.getUint32( 4, true ),
+          bitDepth: fmt.getUint16( 14, true ),
+          float: code === 3,
+          littleEndian: true,
+          // 8-bit WAV is the odd one out
+          unsigned: code === 1 && fmt.getUint16( 14, true ) === 8
+        };
+      } else if ( id === 'data' ) {
+        if ( !format ) {
+          throw new Error('WAV data chunk found before fmt chunk');
+        }
+
+        const frameSize = format.channels * format.bitDepth / 8;
+
+        // streaming encoders write 0 or 0xffffffff when the size is unknown
+        const known = size > 0 && size < 0xffffffff;
+
+        format.length = known ? Math.floor( size / frameSize ) : null;
+        this.remaining = known ? size : Infinity;
+
+        return this.#validate( format );
+      } else {
+        await this.bytes.skip( size + size % 2 );
+      }
+    }
+  }
+
+  /**
+   * read AIFF/AIFF-C chunks up to the start of the sample data
+   *
+   * @private readAiff
+   *
+   * @param  {Boolean} compressed – whether this is AIFF-C
+   * @return {Promise}            – resolves with a format object
+   */
+
+  async #readAiff( compressed ) {
+    let format = null;
+
+    for ( ;; ) {
+      const chunk = await this.bytes.readExactly( 8 );
+      const id    = fourcc( chunk, 0 );
+      const size  = chunk.getUint32( 4 );
+
+      if ( id === 'COMM' ) {
+        const comm = await this.bytes.readExactly( size + size % 2 );
+        const type = compressed ? fourcc( comm, 18 ) : 'NONE';
+
+        format = {
+          channels: comm.getUint16( 0 ),
+          length: comm.getUint32( 2 ),
+          bitDepth: comm.getUint16( 6 ),
+          rate: extended( comm, 8 ),
+          float: /^fl(32|64)$/i.test( type ),
+          littleEndian: type === 'sowt',
+          unsigned: false
+        };
+
+        if ( format.float ) {
+          format.bitDepth = type.slice( 2 ) === '64' ? 64 : 32;
+        } else if ( type !== 'NONE' && type !== 'sowt' ) {
+          throw new Error( `unsupported AIFF-C compression ${ type }` );
+        }
+      } else if ( id === 'SSND' ) {
+        if ( !format ) {
+          throw new Error('AIFF SSND chunk found before COMM chunk');
+        }
+
+        const ssnd   = await this.bytes.readExactly( 8 );
+        const offset = ssnd.getUint32( 0 );
+
+        await this.bytes.skip( offset );
+
+        this.remaining = size - 8 - offset;
+
+        return this.#validate( format );
+      } else {
+        await this.bytes.skip( size + size % 2 );
+      }
+    }
+  }
+
+  /**
+   * make sure we know how to decode the given format
+   *
+   * @private validate
+   *
+   * @param  {Object} format – format object
+   * @return {Object}        – format object
+   */
+
+  #validate( format ) {
+    const depths = format.float ? [ 32, 64 ] : [ 8, 16, 24, 32 ];
+
+    if ( !depths.includes( format.bitDepth ) ) {
+      const type = format.float ? 'float' : 'integer';
+      throw new Error( `unsupported ${ format.bitDepth }-bit ${ type } audio` );
+    }
+
+    if ( !format.channels || !format.rate ) {
+      throw new Error('invalid channel count or sample rate');
+    }
+
+    return format;
+  }
+
+  /**
+   * convert interleaved sample bytes to one Float32Array per channel
+   *
+   * @private deinterleave
+   *
+   * @param  {Uint8Array} bytes – whole frames of sample data
+   * @return {Array}            – array of Float32Arrays
+   */
+
+  #deinterleave( bytes ) {
+    const { channels, bitDepth, float, littleEndian, unsigned } = this.format;
+
+    const view   = new DataView( bytes.buffer, bytes.byteOffset, bytes.length );
+    const size   = bitDepth / 8;
+    const frames = bytes.length / ( size * channels );
+    const scale  = Math.pow( 2, bitDepth - 1 );
+    const out    = [];
+
+    for ( let i = 0; i < channels; ++i ) {
+      out.push( new Float32Array( frames ) );
+    }
+
+    for ( let frame = 0, pos = 0; frame < frames; ++frame ) {
+      for ( let ch = 0; ch < channels; ++ch, pos += size ) {
+        let sample;
+
+        if ( float ) {
+          sample = size === 4 ?
+            view.getFloat32( pos, littleEndian ) :
+            view.getFloat64( pos, littleEndian );
+        } else if ( size === 1 ) {
+          sample = unsigned ? view.getUint8( pos ) - 128 : view.getInt8( pos );
+        } else if ( size === 2 ) {
+          sample = view.getInt16( pos, littleEndian );
+        } else if ( size === 3 ) {
+          const b0 = view.getUint8( pos );
+          const b1 = view.getUint8( pos + 1 );
+          const b2 = view.getUint8( pos + 2 );
+          const v  = littleEndian ?
+            b0 | b1 << 8 | b2 << 16 :
+            b2 | b1 << 8 | b0 << 16;
+          // sign-extend from 24 bits
+          sample = v << 8 >> 8;
+        } else {
+          sample = view.getInt32( pos, littleEndian );
+        }
+
+        out[ ch ][ frame ] = float ? sample : sample / scale;
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * stream the sample data as blocks of channel data, suitable for
+   * `AudioStore#ingest`
+   *
+   * @method blocks
+   *
+   * @param  {Number} [frames=16384] – sample frames per block
+   * @return {Object}                – async iterator of arrays of
+   *                                   Float32Arrays
+   */
+
+  async *blocks( frames = 16384 ) {
+    const format    = await this.readFormat();
+    const frameSize = format.channels * format.bitDepth / 8;
+
+    try {
+      while ( this.remaining >= frameSize ) {
+        const want  = Math.min( frames * frameSize, this.remaining );
+        const size  = want - want % frameSize;
+        const bytes = await this.bytes.read( size );
+        const whole = bytes.length - bytes.length % frameSize;
+
+        // the header said there was more
+        if ( bytes.length < size && this.remaining !== Infinity ) {
+          throw new Error('unexpected end of file');
+        }
+
+        if ( !whole ) {
+          return;
+        }
+
+        this.remaining -= bytes.length;
+
+        yield this.#deinterleave( bytes.subarray( 0, whole ) );
+      }
+    } finally {
+      await this.bytes.cancel();
+    }
+  }
+
+}
@@ -0,0 +1,225 @@
+// samples per peak at the finest level
+const BASE = 256;
+
+// peaks from one level that make up a peak on the next
+const FACTOR = 4;
+
+// number of levels. the coarsest is one peak per BASE * FACTOR^7 samples
+// (about 90 seconds at 48k)
+const LEVELS = 8;
+
+// peaks per stored page
+const PAGE_SIZE = 16384;
+
+/**
+ * clamp a sample and convert it to a 16-bit integer
+ *
+ * @param  {Number} value – sample value
+ * @return {Number}
+ */
+
+function quantize( value ) {
+  return Math.round( Math.max( -1, Math.min( 1, value ) ) * 32767 );
+}
+
+export default class PeakBuilder {
+
+  /**
+   * PeakBuilder constructor
+   *
+   * Builds a min/max peak pyramid from channel data blocks as they
+   * stream past, handing back pages as soon as they fill so the whole
+   * pyramid never has to be in memory. Each page is
+   * `{ level, page, length, channels }`, where `channels` holds one
+   * Int16Array per channel of interleaved min/max pairs.
+   *
+   * @method constructor
+   *
+   * @param  {Number}      channels – number of channels
+   * @return {PeakBuilder}
+   */
+
+  constructor( channels ) {
+    this.channels = channels;
+    this.counts   = new Array( LEVELS ).fill( 0 );
+
+    this.levels = this.counts.map( () => ({
+      fill: 0,
+      page: this.#newPage(),
+      // running min/max of the peak being built, and how much of it is in
+      min: new Float32Array( channels ).fill( Infinity ),
+      max: new Float32Array( channels ).fill( -Infinity ),
+      size: 0
+    }) );
+  }
+
+  /**
+   * the pyramid's shape, for `AudioStore` to keep in track metadata
+   *
+   * @property layout
+   */
+
+  get layout() {
+    return {
+      base: BASE,
+      factor: FACTOR,
+      levels: LEVELS,
+      pageSize: PAGE_SIZE,
+      counts: [ ...this.counts ]
+    };
+  }
+
+  /**
+   * allocate an empty page
+   *
+   * @private newPage
+   *
+   * @return {Array} – one Int16Array per channel
+   */
+
+  #newPage() {
+    return Array.from( { length: this.channels }, () => {
+      return new Int16Array( PAGE_SIZE * 2 );
+    });
+  }
+
+  /**
+   * finish the peak being built at a level, passing it up the pyramid
+   *
+   * @private emit
+   *
+   * @param  {Number} index – level index
+   * @param  {Array}  pages – completed pages are pushed here
+   * @return {Undefined}
+   */
+
+  #emit( index, pages ) {
+    const level = this.levels[ index ];
+    const { min, max } = level;
+
+    for ( let c = 0; c < this.channels; ++c ) {
+      level.page[ c ][ level.fill * 2 ] = quantize( min[ c ] );
+      level.page[ c ][ level.fill * 2 + 1 ] = quantize( max[ c ] );
+    }
+
+    if ( index + 1 < LEVELS ) {
+      const next = this.levels[ index + 1 ];
+
+      for ( let c = 0; c < this.channels; ++c ) {
+        next.min[ c ] = Math.min( next.min[ c ], min[ c ] );
+        next.max[ c ] = Math.max( next.max[ c ], max[ c ] );
+      }
+
+      if ( ++next.size === FACTOR ) {
+        this.#emit( index + 1, pages );
+      }
+    }
+
+    min.fill( Infinity );
+    max.fill( -Infinity );
+    level.size = 0;
+    level.fill++;
+    this.counts[ index ]++;
+
+    if ( level.fill === PAGE_SIZE ) {
+      this.#flushPage( index, pages );
+    }
+  }
+
+  /**
+   * hand back a level's current page, full or not
+   *
+   * @private flushPage
+   *
+   * @param  {Number} index – level index
+   * @param  {Array}  pages – the page is pushed here
+   * @return {Undefined}
+   */
+
+  #flushPage( index, pages ) {
+    const level  = this.levels[ index ];
+    const length = level.fill;
+    const page   = Math.floor( ( this.counts[ index ] - 1 ) / PAGE_SIZE );
+
+    if ( !length ) {
+      return;
+    }
+
+    pages.push({
+      level: index,
+      page,
+      length,
+      channels: level.page.map( i16 => i16.slice( 0, length * 2 ) )
+    });
+
+    level.fill = 0;
+    level.page = this.#newPage();
+  }
+
+  /**
+   * add a block of channel data
+   *
+   * @method push
+   *
+   * @param  {Array} block – array of Float32Arrays, one per channel
+   * @return {Array}       – pages completed by this block
+   */
+
+  push( block ) {
+    const pages  = [];
+    const level  = this.levels[ 0 ];
+    const length = block[ 0 ].length;
+
+    for ( let pos = 0; pos < length; ) {
+      const count = Math.min( BASE - level.size, length - pos );
+
+      for ( let c = 0; c < this.channels; ++c ) {
+        const data = block[ c ];
+
+        let min = level.min[ c ];
+        let max = level.max[ c ];
+
+        for ( let i = pos; i < pos + count; ++i ) {
+          min = Math.min( min, data[ i ] );
+          max = Math.max( max, data[ i ] );
+        }
+
+        level.min[ c ] = min;
+        level.max[ c ] = max;
+      }
+
+      level.size += count;
+      pos += count;
+
+      if ( level.size === BASE ) {
+        this.#emit( 0, pages );
+      }
+    }
+
+    return pages;
+  }
+
+  /**
+   * finish any partial peaks and hand back every remaining page
+   *
+   * @method finish
+   *
+   * @return {Array} – remaining pages
+   */
+
+  finish() {
+    const pages = [];
+
+    this.levels.forEach( ( level, index ) => {
+      // a level only has a partial peak if something went into it
+      if ( level.size ) {
+        this.#emit( index, pages );
+      }
+
+      this.#flushPage( index, pages );
+    });
+
+    return pages;
+  }
+
+}
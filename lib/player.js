@@ -37,6 +37,9 @@ export default class Player {
     this.track.addEventListener( 'click', e => this.onClick( e ) );
     window.addEventListener( 'mousemove', e => this.onDrag( e ) );
     window.addEventListener( 'mouseup', e => this.onMouseUp( e ) );
+
+    // playback can stop on its own, at the end of the track
+    this.streamer.addEventListener( 'pause', () => this.playing = false );
   }
 
   /**
@@ -95,9 +98,6 @@ export default class Player {
 
   updatePosition() {
     this.position = this.streamer.currentTime();
-    if ( this.streamer.stopped ) {
-      this.pause();
-    }
     return this.position;
   }
 
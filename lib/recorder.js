@@ -0,0 +1,212 @@
+// contexts that already have the worklet module loaded
+const loaded = new WeakMap();
+
+export default class Recorder {
+
+  /**
+   * Recorder constructor
+   *
+   * Records whatever an AudioNode outputs (a `MediaStreamAudioSourceNode`
+   * for a microphone, an oscillator, a whole mix...) straight into an
+   * `AudioStore` track. samples are handed to `AudioStore#ingest` as they
+   * arrive, so only about a chunk of audio is ever held in memory. the
+   * track can be played once `stop()` resolves.
+   *
+   * options:
+   *   channels – number of channels to record (2 by default). the input
+   *           is up- or down-mixed to match
+   *   maxLag – seconds of audio that can wait for the store to catch up
+   *           (10 by default). live input can't be paused, so if storage
+   *           falls further behind than this the take fails rather than
+   *           piling up in memory
+   *
+   * @method constructor
+   *
+   * @param  {AudioStore} store     – AudioStore instance
+   * @param  {String}     name      – track name to record into
+   * @param  {AudioNode}  source    – node to record
+   * @param  {Object}     [opts={}] – optional options object
+   * @return {Recorder}
+   */
+
+  constructor( store, name, source, opts = {} ) {
+    this.store    = store;
+    this.name     = name;
+    this.source   = source;
+    this.ac       = source.context;
+    this.channels = opts.channels || 2;
+    this.maxLag   = opts.maxLag || 10;
+
+    this.recording = false;
+    this.node      = null;
+    this.queue     = [];
+    this.queued    = 0;
+    this.error     = null;
+    this.done      = false;
+    this.wake      = null;
+    this.ingest    = null;
+  }
+
+  /**
+   * load the worklet module into the source's context, once per context
+   *
+   * @private loadWorklet
+   *
+   * @return {Promise} – resolves once the module is loaded
+   */
+
+  #loadWorklet() {
+    if ( !loaded.has( this.ac ) ) {
+      const url = new URL( './recorderworklet.js', import.meta.url );
+      loaded.set( this.ac, this.ac.audioWorklet.addModule( url ) );
+    }
+
+    return loaded.get( this.ac );
+  }
+
+  /**
+   * hand blocks from the worklet to `AudioStore#ingest` as they arrive
+   *
+   * @private blocks
+   *
+   * @return {Object} – async iterator of channel data blocks
+   */
+
+  async *#blocks() {
+    for ( ;; ) {
+      if ( this.error ) {
+        throw this.error;
+      }
+
+      if ( this.queue.length ) {
+        const block = this.queue.shift();
+
+        this.queued -= block[ 0 ].length;
+        yield block;
+        continue;
+      }
+
+      if ( this.done ) {
+        return;
+      }
+
+      await new Promise( resolve => this.wake = resolve );
+    }
+  }
+
+  /**
+   * handle a message from the worklet
+   *
+   * @private onMessage
+   *
+   * @param  {MessageEvent} ev – worklet message
+   * @return {Undefined}
+   */
+
+  #onMessage( ev ) {
+    const { block, done } = ev.data;
+
+    if ( block && !this.error ) {
+      this.queue.push( block );
+      this.queued += block[ 0 ].length;
+    }
+
+    // storage can't keep up, so drop the take before memory runs out
+    if ( this.queued > this.maxLag * this.ac.sampleRate ) {
+      const lag = `${ this.maxLag }s`;
+      const msg = `recording ${ this.name } fell more than ${ lag } behind`;
+
+      this.error = new Error( msg );
+      this.queue = [];
+      this.queued = 0;
+      this.node.port.postMessage('stop');
+    }
+
+    if ( done ) {
+      this.done = true;
+    }
+
+    if ( this.wake ) {
+      this.wake();
+      this.wake = null;
+    }
+  }
+
+  /**
+   * start recording. anything already stored under `name` is replaced
+   *
+   * @method start
+   *
+   * @return {Promise} – resolves with `this` once recording has started
+   */
+
+  async start() {
+    if ( this.recording ) {
+      throw new Error( `already recording ${ this.name }` );
+    }
+
+    await this.#loadWorklet();
+
+    const { channels } = this;
+
+    this.node = new AudioWorkletNode( this.ac, 'audiostore-recorder', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: channels,
+      channelCountMode: 'explicit',
+      processorOptions: { channels }
+    });
+
+    this.queue = [];
+    this.queued = 0;
+    this.error = null;
+    this.done = false;
+    this.node.port.onmessage = ev => this.#onMessage( ev );
+
+    const format = { rate: this.ac.sampleRate, channels };
+
+    this.ingest = this.store.ingest( this.name, this.#blocks(), format );
+    // if the store gives up, stop capturing rather than queueing forever.
+    // `stop()` still reports the error
+    this.ingest.catch( () => {
+      if ( this.node ) {
+        this.node.port.postMessage('stop');
+      }
+    });
+
+    this.source.connect( this.node );
+    this.recording = true;
+
+    console.info( `recording ${ this.name }` );
+
+    return this;
+  }
+
+  /**
+   * stop recording and finish writing the track
+   *
+   * @method stop
+   *
+   * @return {Promise} – resolves with the track's metadata record
+   */
+
+  async stop() {
+    if ( !this.recording ) {
+      throw new Error( `not recording ${ this.name }` );
+    }
+
+    this.recording = false;
+    this.node.port.postMessage('stop');
+
+    try {
+      const metadata = await this.ingest;
+      console.info( `recorded ${ this.name }` );
+      return metadata;
+    } finally {
+      this.source.disconnect( this.node );
+      this.node.port.onmessage = null;
+      this.node = null;
+    }
+  }
+
+}
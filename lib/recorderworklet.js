@@ -0,0 +1,86 @@
+/* global AudioWorkletProcessor, registerProcessor */
+
+// frames per message back to the main thread (the render quantum is only
+// 128, which would be a lot of messages)
+const BLOCK_SIZE = 4096;
+
+/**
+ * AudioWorklet side of `Recorder`
+ *
+ * copies whatever arrives at its input into blocks of `BLOCK_SIZE` frames
+ * and posts them to the main thread as `{ block }`, transferring the
+ * buffers. a `stop` message flushes the last partial block and answers
+ * with `{ done: true }`.
+ */
+
+class RecorderProcessor extends AudioWorkletProcessor {
+
+  constructor( options ) {
+    super();
+
+    this.channels  = options.processorOptions.channels;
+    this.recording = true;
+
+    this.#reset();
+
+    this.port.onmessage = ev => {
+      if ( ev.data === 'stop' ) {
+        this.recording = false;
+        this.#flush();
+        this.port.postMessage({ done: true });
+      }
+    };
+  }
+
+  #reset() {
+    this.fill  = 0;
+    this.block = Array.from( { length: this.channels }, () => {
+      return new Float32Array( BLOCK_SIZE );
+    });
+  }
+
+  #flush() {
+    if ( !this.fill ) {
+      return;
+    }
+
+    const block = this.block.map( f32 => f32.slice( 0, this.fill ) );
+
+    this.port.postMessage( { block }, block.map( f32 => f32.buffer ) );
+    this.#reset();
+  }
+
+  process( inputs ) {
+    if ( !this.recording ) {
+      return false;
+    }
+
+    const [ input ] = inputs;
+    const frames    = input.length ? input[ 0 ].length : 128;
+
+    for ( let pos = 0; pos < frames; ) {
+      const count = Math.min( BLOCK_SIZE - this.fill, frames - pos );
+
+      // a disconnected input has no channels, so record silence
+      this.block.forEach( ( f32, i ) => {
+        if ( input[ i ] ) {
+          f32.set( input[ i ].subarray( pos, pos + count ), this.fill );
+        } else {
+          f32.fill( 0, this.fill, this.fill + count );
+        }
+      });
+
+      this.fill += count;
+      pos += count;
+
+      if ( this.fill === BLOCK_SIZE ) {
+        this.#flush();
+      }
+    }
+
+    return true;
+  }
+
+}
+
+registerProcessor( 'audiostore-recorder', RecorderProcessor );
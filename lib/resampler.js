@@ -0,0 +1,228 @@
+// kernel table resolution, in entries per zero crossing
+const PHASES = 512;
+
+// kernel half-width, in zero crossings of the sinc, and Kaiser window shape
+// for each quality. `best` has roughly 90dB of stopband attenuation, and
+// `fast` about 60dB for a quarter of the work
+const QUALITY = {
+  best: { zeros: 32, beta: 8.6 },
+  fast: { zeros: 8, beta: 5.65 }
+};
+
+const tables = {};
+
+/**
+ * zeroth-order modified Bessel function of the first kind
+ *
+ * @param  {Number} x
+ * @return {Number}
+ */
+
+function bessel( x ) {
+  let sum  = 1;
+  let term = 1;
+
+  for ( let k = 1; k < 64 && term > sum * 1e-12; ++k ) {
+    term *= Math.pow( x / ( 2 * k ), 2 );
+    sum += term;
+  }
+
+  return sum;
+}
+
+/**
+ * get the settings for a quality, or throw if there's no such quality
+ *
+ * @param  {String} quality – `best` or `fast`
+ * @return {Object}         – `{ zeros, beta }`
+ */
+
+function settings( quality ) {
+  if ( !Object.hasOwn( QUALITY, quality ) ) {
+    throw new Error( `unknown resampling quality ${ quality }` );
+  }
+
+  return QUALITY[ quality ];
+}
+
+/**
+ * get the Kaiser-windowed sinc kernel for a quality, tabulated from 0 to
+ * `zeros` zero crossings (it's symmetric, so that's all we need)
+ *
+ * @param  {String}       quality – `best` or `fast`
+ * @return {Float32Array}
+ */
+
+function kernel( quality ) {
+  if ( tables[ quality ] ) {
+    return tables[ quality ];
+  }
+
+  const { zeros, beta } = settings( quality );
+
+  // two extra entries so interpolating at the very edge stays in bounds
+  const table = new Float32Array( zeros * PHASES + 2 );
+
+  for ( let i = 0; i <= zeros * PHASES; ++i ) {
+    const x      = i / PHASES;
+    const sinc   = x === 0 ? 1 : Math.sin( Math.PI * x ) / ( Math.PI * x );
+    const r      = x / zeros;
+    const window = bessel( beta * Math.sqrt( 1 - r * r ) ) / bessel( beta );
+
+    table[ i ] = sinc * window;
+  }
+
+  tables[ quality ] = table;
+
+  return table;
+}
+
+/**
+ * Windowed-sinc sample rate conversion
+ *
+ * output samples sit on a fixed grid (sample `j` is at `j / to` seconds from
+ * the start of the track), and each one only depends on the source samples
+ * around it. so reading a track in consecutive windows gives exactly the
+ * same samples as converting it all at once, with no seams between windows
+ * (as long as every window uses the same quality).
+ */
+
+const resampler = {
+
+  /**
+   * how many extra source samples to read on each side of a window so that
+   * every output sample sees its whole kernel
+   *
+   * @method padding
+   *
+   * @param  {Number} from             – source sample rate
+   * @param  {Number} to               – target sample rate
+   * @param  {String} [quality='best'] – `best` or `fast`
+   * @return {Number}                  – padding in source samples
+   */
+
+  padding( from, to, quality = 'best' ) {
+    const cutoff = Math.min( 1, to / from );
+    return Math.ceil( settings( quality ).zeros / cutoff ) + 1;
+  },
+
+  /**
+   * resample part of a signal
+   *
+   * `input[ 0 ]` is source sample `offset`, and the output starts at target
+   * sample `first`. anything outside `input` is treated as silence, so
+   * `input` should include `padding()` samples either side of the window,
+   * except at the start and end of the track.
+   *
+   * @method resample
+   *
+   * @param  {Float32Array} input          – source samples
+   * @param  {Object}       opts           – options
+   * @param  {Number}       opts.from      – source sample rate
+   * @param  {Number}       opts.to        – target sample rate
+   * @param  {Number}       opts.offset    – source index of `input[ 0 ]`
+   * @param  {Number}       opts.first     – target index of the first output
+   * @param  {Number}       opts.length    – number of output samples
+   * @param  {String}       [opts.quality] – `best` (the default), or `fast`
+   *                                         for playback
+   * @return {Float32Array}
+   */
+
+  resample( input, { from, to, offset, first, length, quality = 'best' } ) {
+    const kern   = kernel( quality );
+    const ratio  = from / to;
+    // lower the cutoff when downsampling, so we don't alias
+    const cutoff = Math.min( 1, to / from );
+    const width  = settings( quality ).zeros / cutoff;
+    const scale  = cutoff * PHASES;
+    const output = new Float32Array( length );
+
+    for ( let j = 0; j < length; ++j ) {
+      const t  = ( first + j ) * ratio - offset;
+      const lo = Math.max( 0, Math.ceil( t - width ) );
+      const hi = Math.min( input.length - 1, Math.floor( t + width ) );
+
+      let sum = 0;
+
+      for ( let k = lo; k <= hi; ++k ) {
+        const x = Math.abs( t - k ) * scale;
+        const i = Math.floor( x );
+
+        const weight = kern[ i ] + ( kern[ i + 1 ] - kern[ i ] ) * ( x - i );
+
+        sum += input[ k ] * weight;
+      }
+
+      output[ j ] = sum * cutoff;
+    }
+
+    return output;
+  },
+
+  /**
+   * resample a stream of channel data blocks (see `AudioStore#ingest`),
+   * only holding on to as much input as the kernel needs
+   *
+   * @method stream
+   *
+   * @param  {Object}   blocks        – (async) iterable of channel data
+   *                                    blocks
+   * @param  {Object}   opts          – options
+   * @param  {Number}   opts.from     – source sample rate
+   * @param  {Number}   opts.to       – target sample rate
+   * @param  {Number}   opts.channels – number of channels
+   * @return {Object}                 – async iterator of channel data blocks
+   */
+
+  async *stream( blocks, { from, to, channels } ) {
+    const ratio = from / to;
+    const width = settings('best').zeros / Math.min( 1, to / from );
+
+    let buffers  = Array.from( { length: channels }, () => {
+      return new Float32Array();
+    });
+    let offset   = 0;
+    let received = 0;
+    let next     = 0;
+
+    const convert = end => buffers.map( input => {
+      const length = end - next;
+      const opts   = { from, to, offset, first: next, length };
+      return resampler.resample( input, opts );
+    });
+
+    for await ( const block of blocks ) {
+      buffers = buffers.map( ( buffer, i ) => {
+        const joined = new Float32Array( buffer.length + block[ i ].length );
+        joined.set( buffer );
+        joined.set( block[ i ], buffer.length );
+        return joined;
+      });
+
+      received += block[ 0 ].length;
+
+      // every output sample whose kernel is entirely within what we've got
+      const ready = Math.floor( ( received - 1 - width ) / ratio ) + 1;
+
+      if ( ready > next ) {
+        yield convert( ready );
+        next = ready;
+      }
+
+      // and drop input that no future output sample can reach
+      const keep = Math.max( offset, Math.ceil( next * ratio - width ) );
+
+      buffers = buffers.map( buffer => buffer.slice( keep - offset ) );
+      offset = keep;
+    }
+
+    const total = Math.round( received / ratio );
+
+    if ( total > next ) {
+      yield convert( total );
+    }
+  }
+
+};
+
+export default resampler;
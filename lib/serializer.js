@@ -0,0 +1,358 @@
+import codecs        from './codecs.js';
+import LoudnessMeter from './loudness.js';
+import resampler     from './resampler.js';
+
+// loudness meters in progress, by id
+const meters = new Map();
+
+/**
+ * get the codec with the given name
+ *
+ * @param  {String} name – codec name
+ * @return {Object}      – codec
+ */
+
+function getCodec( name ) {
+  if ( !Object.hasOwn( codecs, name ) ) {
+    throw new Error( `unknown codec ${ name }` );
+  }
+
+  return codecs[ name ];
+}
+
+let crcTable = null;
+
+/**
+ * get the CRC-32 of some bytes
+ *
+ * @param  {Uint8Array} bytes – data to check
+ * @return {Number}           – unsigned 32-bit checksum
+ */
+
+function crc32( bytes ) {
+  if ( !crcTable ) {
+    crcTable = new Uint32Array( 256 );
+
+    for ( let i = 0; i < 256; ++i ) {
+      let c = i;
+
+      for ( let k = 0; k < 8; ++k ) {
+        c = c & 1 ? 0xedb88320 ^ ( c >>> 1 ) : c >>> 1;
+      }
+
+      crcTable[ i ] = c;
+    }
+  }
+
+  let crc = 0xffffffff;
+
+  for ( let i = 0, len = bytes.length; i < len; ++i ) {
+    crc = crcTable[ ( crc ^ bytes[ i ] ) & 0xff ] ^ ( crc >>> 8 );
+  }
+
+  return ( crc ^ 0xffffffff ) >>> 0;
+}
+
+/**
+ * read a Blob into an ArrayBuffer
+ *
+ * @param  {Blob}    blob – stored channel data
+ * @return {Promise}      – resolves with an ArrayBuffer
+ */
+
+function blobToBuffer( blob ) {
+  // Node has no FileReader (and older Safari has no Blob#arrayBuffer)
+  if ( typeof FileReader === 'undefined' ) {
+    return blob.arrayBuffer();
+  }
+
+  return new Promise( ( resolve, reject ) => {
+    const reader = new FileReader();
+
+    reader.onload = () => resolve( reader.result );
+    reader.onerror = reject;
+
+    reader.readAsArrayBuffer( blob );
+  });
+}
+
+/**
+ * pad bytes to a whole number of 16-bit words, copying them if they're odd
+ * or don't start on a word boundary
+ *
+ * @param  {Uint8Array} bytes – encoded audio data
+ * @return {Uint8Array}
+ */
+
+function toWords( bytes ) {
+  if ( bytes.byteLength % 2 || bytes.byteOffset % 2 ) {
+    const padded = new Uint8Array( bytes.byteLength + bytes.byteLength % 2 );
+    padded.set( bytes );
+    return padded;
+  }
+
+  return bytes;
+}
+
+/**
+ * convert encoded bytes to a String, one character per 16-bit word
+ *
+ * @param  {Uint8Array} bytes – encoded audio data
+ * @return {String}           – encoded audio data as a string
+ */
+
+function bytesToString( bytes ) {
+  const { buffer, byteOffset, byteLength } = toWords( bytes );
+
+  const i16 = new Uint16Array( buffer, byteOffset, byteLength / 2 );
+
+  let str = '';
+
+  // not TextDecoder: the words aren't valid utf-16 (there are lone
+  // surrogates all over the place), and it would replace those with U+FFFD.
+  //
+  // reduce string concatenations by getting values for a bunch of
+  // character codes at once. can't do 'em all in one shot though,
+  // because we'll blow out the call stack.
+  for ( let i = 0, len = i16.length; i < len; i += 10000 ) {
+    str += String.fromCharCode.apply( null, i16.subarray( i, i + 10000 ) );
+  }
+
+  return str;
+}
+
+/**
+ * convert a string from `bytesToString` back to an ArrayBuffer
+ *
+ * @param  {String}      str – encoded audio data as a string
+ * @return {ArrayBuffer}     – encoded audio data
+ */
+
+function stringToBuffer( str ) {
+  const i16 = new Uint16Array( str.length );
+
+  for ( let i = 0, len = i16.length; i < len; ++i ) {
+    i16[ i ] = str.charCodeAt( i );
+  }
+
+  return i16.buffer;
+}
+
+/**
+ * Chunk serialization
+ *
+ * everything CPU-heavy that AudioStore does to chunk data lives here, so it
+ * can run either inline or inside a Worker (see worker.js and
+ * workerserializer.js). every method is async so both look the same.
+ */
+
+export default {
+
+  /**
+   * encode channel data for storage
+   *
+   * resolves with `{ channels, checksums, sizes }`: an array of
+   * Blobs/Strings, the CRC-32 of each one's bytes and each one's size in
+   * bytes. checksums are taken from the encoded bytes before they're turned
+   * into a Blob or String, so they catch anything that goes wrong there too.
+   * strings hold whole 16-bit words, so their bytes are padded to match
+   *
+   * @method encode
+   *
+   * @param  {Array}   channelData – array of Float32Arrays, one per channel
+   * @param  {String}  codec       – codec name
+   * @param  {Boolean} blobs       – store Blobs (true) or strings (false)
+   * @return {Promise}             – resolves with the encoded channels
+   */
+
+  async encode( channelData, codec, blobs ) {
+    const { encode } = getCodec( codec );
+
+    const results = await Promise.all( channelData.map( async data => {
+      const encoded  = await encode( data );
+      const bytes    = blobs ? encoded : toWords( encoded );
+      const checksum = crc32( bytes );
+      const channel  = blobs ? new Blob([ bytes ]) : bytesToString( bytes );
+
+      return { channel, checksum, size: bytes.byteLength };
+    }) );
+
+    return {
+      channels: results.map( ({ channel }) => channel ),
+      checksums: results.map( ({ checksum }) => checksum ),
+      sizes: results.map( ({ size }) => size )
+    };
+  },
+
+  /**
+   * decode stored channel data, checking it against `checksums` first
+   * when they're given (chunks saved before checksums existed have none)
+   *
+   * @method decode
+   *
+   * @param  {Array}   channels    – array of Blobs or Strings
+   * @param  {String}  codec       – codec name
+   * @param  {Array}   [checksums] – CRC-32 of each channel
+   * @return {Promise}             – resolves with an array of Float32Arrays
+   */
+
+  async decode( channels, codec, checksums ) {
+    const { decode } = getCodec( codec );
+
+    return Promise.all( channels.map( async( channel, i ) => {
+      const buffer = typeof channel === 'string' ?
+        stringToBuffer( channel ) :
+        await blobToBuffer( channel );
+
+      const expected = checksums && checksums[ i ];
+
+      if ( typeof expected === 'number' ) {
+        const actual = crc32( new Uint8Array( buffer ) );
+
+        if ( actual !== expected ) {
+          throw new Error( `checksum mismatch in channel ${ i }` );
+        }
+      }
+
+      return decode( buffer );
+    }) );
+  },
+
+  /**
+   * stitch consecutive chunks together and trim them to `start`-`end`
+   *
+   * @method merge
+   *
+   * @param  {Array}   chunks – array of chunks, each an array of
+   *                            Float32Arrays (one per channel)
+   * @param  {Number}  start  – start offset in samples
+   * @param  {Number}  end    – end offset in samples
+   * @return {Promise}        – resolves with an array of Float32Arrays
+   */
+
+  async merge( chunks, start, end ) {
+    const merged = chunks[ 0 ].map( () => new Float32Array( end - start ) );
+
+    for ( let i = 0, index = 0; i < chunks.length; ++i ) {
+      const length = chunks[ i ][ 0 ].length;
+      const from   = Math.max( start, index );
+      const to     = Math.min( end, index + length );
+
+      if ( from < to ) {
+        merged.forEach( ( channel, j ) => {
+          const data = chunks[ i ][ j ].subarray( from - index, to - index );
+          channel.set( data, from - start );
+        });
+      }
+
+      index += length;
+    }
+
+    return merged;
+  },
+
+  /**
+   * convert channel data to another sample rate (see resampler.js)
+   *
+   * @method resample
+   *
+   * @param  {Array}   channels – array of Float32Arrays, one per channel
+   * @param  {Object}  opts     – `resampler.resample` options
+   * @return {Promise}          – resolves with an array of Float32Arrays
+   */
+
+  async resample( channels, opts ) {
+    return channels.map( input => resampler.resample( input, opts ) );
+  },
+
+  /**
+   * mix channel data through a channel matrix (see downmix.js). matrix
+   * entries refer to positions in `channels`
+   *
+   * @method mix
+   *
+   * @param  {Array}   channels – array of Float32Arrays, one per channel
+   * @param  {Array}   matrix   – channel matrix
+   * @return {Promise}          – resolves with an array of Float32Arrays
+   */
+
+  async mix( channels, matrix ) {
+    const used = new Set();
+
+    return matrix.map( row => {
+      const [ [ first, gain ] ] = row;
+
+      // straight copies can hand back the input itself, as long as it's
+      // only handed back once
+      if ( row.length === 1 && gain === 1 ) {
+        const output = used.has( first ) ?
+          channels[ first ].slice() :
+          channels[ first ];
+
+        used.add( first );
+
+        return output;
+      }
+
+      const output = new Float32Array( channels[ first ].length );
+
+      row.forEach( ([ i, weight ]) => {
+        const input = channels[ i ];
+
+        for ( let k = 0, len = output.length; k < len; ++k ) {
+          output[ k ] += input[ k ] * weight;
+        }
+      });
+
+      return output;
+    });
+  },
+
+  /**
+   * start measuring loudness (see loudness.js). blocks are passed in with
+   * `measure`, and `finishMeter` hands back the result
+   *
+   * @method startMeter
+   *
+   * @param  {Number}  id       – meter id, unique to the caller
+   * @param  {Number}  channels – number of channels
+   * @param  {Number}  rate     – sample rate
+   * @return {Promise}
+   */
+
+  async startMeter( id, channels, rate ) {
+    meters.set( id, new LoudnessMeter( channels, rate ) );
+  },
+
+  /**
+   * add a block of channel data to a loudness meter
+   *
+   * @method measure
+   *
+   * @param  {Number}  id       – meter id
+   * @param  {Array}   channels – array of Float32Arrays, one per channel
+   * @return {Promise}
+   */
+
+  async measure( id, channels ) {
+    meters.get( id ).push( channels );
+  },
+
+  /**
+   * finish a loudness meter and forget it
+   *
+   * @method finishMeter
+   *
+   * @param  {Number}  id – meter id
+   * @return {Promise}    – resolves with `{ integrated, truePeak, rms }`
+   */
+
+  async finishMeter( id ) {
+    const meter = meters.get( id );
+
+    meters.delete( id );
+
+    return meter.finish();
+  }
+
+};
@@ -1,6 +1,9 @@
 import Streamer from './streamer.js';
 
-export default class StreamCoordinator {
+// Streamer events passed on as they are, plus the track's url
+const FORWARDED = [ 'chunkscheduled', 'underrun', 'error' ];
+
+export default class StreamCoordinator extends EventTarget {
 
   /**
    * StreamCoordinator constructor
@@ -8,19 +11,30 @@ export default class StreamCoordinator {
    * Basically, this sort of *looks* like Streamer in terms of the API,
    * but it actually synchronizes *multiple* streamer instances
    *
+   * it fires the same events as `Streamer`, for all the tracks at once.
+   * `chunkscheduled`, `underrun` and `error` come from the individual
+   * tracks, with their `url` added to `detail`. `loadstart` has
+   * `{ urls }`, `progress` adds up every track, `loaded` has the
+   * `{ loaded, failed }` summary from `load`, and `ended` fires once every
+   * track has ended.
+   *
    * @method constructor
    *
-   * @param  {Array}      urls  – array of audio asset url
-   * @param  {AudioStore} store – AudioStore instance
+   * @param  {Array}      urls      – array of audio asset url
+   * @param  {AudioStore} store     – AudioStore instance
+   * @param  {Object}     [opts={}] – `Streamer` options, applied to every
+   *                                  track
    * @return {StreamCoordinator}
    */
 
-  constructor( urls, store ) {
+  constructor( urls, store, opts = {} ) {
+    super();
+
     this.ac     = store.ac;
     this.store  = store;
     this.urls   = urls;
 
-    this.streamers = this.urls.map( url => new Streamer( url, store ) );
+    this.streamers = this.urls.map( url => new Streamer( url, store, opts ) );
 
     // throwaway audio buffer
     this.garbageBuffer = this.ac.createBuffer( 1, 1, 44100 );
@@ -30,6 +44,96 @@ export default class StreamCoordinator {
 
     this.stopped = true;
     this.ready   = false;
+    this.seeking = false;
+    this.quiet   = false;
+
+    // load errors, keyed by streamer index
+    this.failures = new Map();
+
+    this.loop = null;
+
+    // tracks still playing, so `ended` waits for the longest
+    this.remaining = 0;
+
+    this.streamers.forEach( ( streamer, i ) => {
+      const url = this.urls[ i ];
+
+      FORWARDED.forEach( type => {
+        streamer.addEventListener( type, ev => {
+          this.#emit( type, { ...ev.detail, url } );
+        });
+      });
+
+      streamer.addEventListener( 'ended', () => this.#trackEnded() );
+    });
+  }
+
+  /**
+   * dispatch an event
+   *
+   * @private emit
+   *
+   * @param  {String} type        – event type
+   * @param  {Object} [detail={}] – event payload
+   * @return {Undefined}
+   */
+
+  #emit( type, detail = {} ) {
+    this.dispatchEvent( new CustomEvent( type, { detail } ) );
+  }
+
+  /**
+   * note that a track has played to its end, and stop once they all have
+   *
+   * @private trackEnded
+   *
+   * @return {Undefined}
+   */
+
+  #trackEnded() {
+    // nothing's playing until every track has primed and started, so an
+    // end before then can't be from this session
+    if ( this.stopped || !this.remaining || --this.remaining > 0 ) {
+      return;
+    }
+
+    this.stop();
+    this.#emit('ended');
+  }
+
+  /**
+   * stop, do something, and carry on playing from `offset`, without the
+   * `pause` and `play` events
+   *
+   * @private restart
+   *
+   * @param  {Number}   offset    – offset in seconds
+   * @param  {Function} [between] – called while stopped
+   * @return {Undefined}
+   */
+
+  #restart( offset, between = () => {} ) {
+    this.quiet = true;
+
+    try {
+      this.stop();
+      between();
+      this.stream( offset );
+    } finally {
+      this.quiet = false;
+    }
+  }
+
+  /**
+   * the streamers that have loaded, and so can play
+   *
+   * @private playable
+   *
+   * @return {Array} – array of streamers
+   */
+
+  #playable() {
+    return this.streamers.filter( streamer => streamer.ready );
   }
 
   /**
@@ -59,18 +163,45 @@ export default class StreamCoordinator {
       delete this.garbageBuffer;
     }
 
-    const promises = this.streamers.map( streamer => streamer.prime( offset ) );
+    const streamers = this.#playable();
+    const session   = {};
+
+    // a track that ends before `offset` has nothing to prime, and `stream`
+    // leaves it stopped
+    const promises = streamers.map( streamer => {
+      return streamer.prime( offset ).catch( () => {} );
+    });
 
     Promise.all( promises ).then( () => {
+      // stopped (or sought elsewhere) while priming
+      if ( this.session !== session ) {
+        return;
+      }
+
       if ( this.startTime === null ) {
         this.startTime = this.ac.currentTime;
       }
 
-      this.streamers.forEach( streamer => streamer.stream( offset ) );
+      // one start time for every track keeps them sample-locked
+      const when = this.ac.currentTime;
+
+      streamers.forEach( streamer => streamer.stream( offset, when ) );
+
+      this.remaining = streamers.filter( streamer => !streamer.stopped ).length;
+
+      if ( this.seeking ) {
+        this.seeking = false;
+        this.#emit( 'seeked', { offset } );
+      }
     });
 
     this.stopped = false;
     this.startOffset = offset;
+    this.session = session;
+
+    if ( !this.quiet ) {
+      this.#emit( 'play', { offset } );
+    }
 
     return this;
   }
@@ -90,16 +221,24 @@ export default class StreamCoordinator {
 
     this.streamers.forEach( streamer => streamer.stop() );
 
-    this.stopped = true;
+    this.stopped   = true;
+    this.session   = null;
+    this.remaining = 0;
 
-    const elapsed = this.ac.currentTime - this.startTime;
+    const elapsed = this.startTime === null ?
+      0 :
+      this.ac.currentTime - this.startTime;
 
+    this.startOffset = this.#wrap( this.startOffset + elapsed );
     this.startTime = null;
-    this.startOffset += elapsed;
 
-    if ( this.startOffset >= this.duration ) {
+    if ( this.startOffset >= this.duration && !this.#inLoop() ) {
       this.startOffset = 0;
     }
+
+    if ( !this.quiet ) {
+      this.#emit( 'pause', { offset: this.startOffset } );
+    }
   }
 
   /**
@@ -119,16 +258,87 @@ export default class StreamCoordinator {
     const offset  = this.startOffset || 0;
     const elapsed = this.ac.currentTime - start;
 
-    const current = offset + elapsed;
+    const current = this.#wrap( offset + elapsed );
 
-    if ( current >= this.duration ) {
+    if ( current >= this.duration && !this.#inLoop() ) {
       this.stop();
+      this.#emit('ended');
       return 0;
     }
 
     return current;
   }
 
+  /**
+   * whether playback from `startOffset` stays inside the loop. a loop can
+   * run past the end of the longest track
+   *
+   * @private inLoop
+   *
+   * @return {Boolean}
+   */
+
+  #inLoop() {
+    return Boolean( this.loop ) && this.startOffset < this.loop.end;
+  }
+
+  /**
+   * wrap a playback position that's run past the end of the loop back into
+   * it, the same way `Streamer` does
+   *
+   * @private wrap
+   *
+   * @param  {Number} position – position in seconds
+   * @return {Number}          – position in seconds
+   */
+
+  #wrap( position ) {
+    const { loop } = this;
+
+    if ( !this.#inLoop() || position < loop.end ) {
+      return position;
+    }
+
+    return loop.start + ( position - loop.end ) % ( loop.end - loop.start );
+  }
+
+  /**
+   * loop every track between `start` and `end`, or stop looping with
+   * `setLoop( null )`. takes the same options as `Streamer#setLoop`.
+   * changing the loop while playing restarts every track together from the
+   * current position, so they stay locked
+   *
+   * @method setLoop
+   *
+   * @param  {Number}            start     – loop start in seconds
+   * @param  {Number}            end       – loop end in seconds
+   * @param  {Object}            [opts={}] – optional options object
+   * @return {StreamCoordinator}
+   */
+
+  setLoop( start, end, opts = {} ) {
+    if ( start !== null && !( start >= 0 && end > start ) ) {
+      throw new Error( `invalid loop ${ start }s-${ end }s` );
+    }
+
+    const apply = () => {
+      this.streamers.forEach( streamer => {
+        streamer.setLoop( start, end, opts );
+      });
+
+      this.loop = start === null ? null : { start, end };
+    };
+
+    // the tracks have to be stopped to change their loops together
+    if ( !this.stopped ) {
+      this.#restart( this.currentTime(), apply );
+    } else {
+      apply();
+    }
+
+    return this;
+  }
+
   /**
    * set the current cursor position in seconds
    *
@@ -138,30 +348,189 @@ export default class StreamCoordinator {
    */
 
   seek( offset ) {
+    this.#emit( 'seeking', { offset } );
+
     if ( !this.stopped ) {
-      this.stop();
-      this.stream( offset );
+      // `seeked` comes once every track is primed and playing
+      this.seeking = true;
+      this.#restart( offset );
     } else {
       this.startOffset = offset;
+      this.#emit( 'seeked', { offset } );
     }
   }
 
+  /**
+   * load some of the streamers, settling every one of them and keeping
+   * track of the ones that fail
+   *
+   * @private loadStreamers
+   *
+   * @param  {Array}   indexes – streamer indexes
+   * @param  {Object}  opts    – `load` options
+   * @return {Promise}         – resolves with the settled results
+   */
+
+  async #loadStreamers( indexes, opts ) {
+    const { onProgress = () => {} } = opts;
+
+    const progress = indexes.map( () => ({ loaded: 0, total: null }) );
+
+    const report = ( i, update ) => {
+      progress[ i ] = update;
+
+      const known = progress.every( ({ total }) => total !== null );
+      const overall = {
+        loaded: progress.reduce( ( sum, { loaded } ) => sum + loaded, 0 ),
+        total: known ?
+          progress.reduce( ( sum, { total } ) => sum + total, 0 ) :
+          null
+      };
+
+      onProgress( overall );
+      this.#emit( 'progress', overall );
+    };
+
+    const results = await Promise.allSettled( indexes.map( ( index, i ) => {
+      const streamer = this.streamers[ index ];
+
+      return streamer.load({
+        ...opts,
+        onProgress: update => report( i, update )
+      }).catch( err => {
+        // there's nothing more coming for the loading bar to wait on
+        report( i, { loaded: 0, total: 0 } );
+        throw err;
+      });
+    }) );
+
+    results.forEach( ( result, i ) => {
+      const index = indexes[ i ];
+
+      if ( result.status === 'rejected' ) {
+        const msg = result.reason && result.reason.message;
+        console.info( `failed to load ${ this.urls[ index ] }: ${ msg }` );
+        this.failures.set( index, result.reason );
+      } else {
+        this.failures.delete( index );
+      }
+    });
+
+    const durations = this.#playable().map( streamer => streamer.duration );
+
+    this.duration = durations.length ? Math.max( ...durations ) : 0;
+    this.ready    = durations.length > 0;
+
+    return results;
+  }
+
+  /**
+   * the tracks that failed to load, as `{ url, error }`
+   *
+   * @property failed
+   */
+
+  get failed() {
+    return [ ...this.failures ].map( ([ index, error ]) => {
+      return { url: this.urls[ index ], error };
+    });
+  }
+
+  /**
+   * summarize which tracks loaded and which didn't
+   *
+   * @private summary
+   *
+   * @return {Object} – `{ loaded, failed }`
+   */
+
+  #summary() {
+    const loaded = this.urls.filter( ( url, i ) => !this.failures.has( i ) );
+    return { loaded, failed: this.failed };
+  }
+
   /**
    * load all audio assets in `this.urls`
    *
+   * takes the same options as `Streamer#load`. `onProgress` is called with
+   * `{ loaded, total }` in bytes across every track, for a single loading
+   * bar. `total` is `null` until the size of every track is known.
+   *
+   * by default any track failing to load rejects (once every track has
+   * settled). with `partial` set, it resolves with `{ loaded, failed }`
+   * instead: the urls that loaded, and `{ url, error }` for each one that
+   * didn't. the tracks that loaded play as usual, and `retryFailed` can
+   * try the rest again later (see `failed` for the errors). it only
+   * rejects if nothing loaded at all.
+   *
    * @method load
    *
-   * @return {Promise} – resolves with `true`
+   * @param  {Object}  [opts={}] – optional options object
+   * @return {Promise}           – resolves with `true`, or a summary in
+   *                               `partial` mode
    */
 
-  async load() {
-    const promises = this.streamers.map( streamer => streamer.load() );
+  async load( opts = {} ) {
+    const { partial = false, ...rest } = opts;
+
+    this.#emit( 'loadstart', { urls: this.urls } );
+
+    const indexes = this.streamers.map( ( streamer, i ) => i );
+    const results = await this.#loadStreamers( indexes, rest );
+    const summary = this.#summary();
+
+    if ( !partial ) {
+      const failure = results.find( ({ status }) => status === 'rejected' );
+
+      if ( failure ) {
+        throw failure.reason;
+      }
+
+      this.#emit( 'loaded', summary );
+
+      return true;
+    }
+
+    if ( !this.ready ) {
+      throw new Error('none of the tracks could be loaded');
+    }
+
+    this.#emit( 'loaded', summary );
+
+    return summary;
+  }
+
+  /**
+   * try loading the tracks that failed again. if they're playing, the
+   * tracks that loaded are restarted from the current position so the new
+   * ones come in in sync
+   *
+   * @method retryFailed
+   *
+   * @param  {Object}  [opts={}] – `Streamer#load` options
+   * @return {Promise}           – resolves with `{ loaded, failed }`
+   */
+
+  async retryFailed( opts = {} ) {
+    const indexes = [ ...this.failures.keys() ];
+
+    if ( !indexes.length ) {
+      return this.#summary();
+    }
+
+    await this.#loadStreamers( indexes, opts );
+
+    const recovered = indexes.some( index => !this.failures.has( index ) );
+
+    if ( recovered && !this.stopped ) {
+      this.#restart( this.currentTime() );
+    }
 
-    await Promise.all( promises );
+    const summary = this.#summary();
 
-    const durations = this.streamers.map( streamer => streamer.duration );
+    this.#emit( 'loaded', summary );
 
-    this.duration = Math.max.apply( Math, durations );
+    return summary;
   }
 
   /**
@@ -1,21 +1,156 @@
-export default class Streamer {
+import FetchError from './fetcherror.js';
+
+// headroom left when normalizing, in dBTP
+const PEAK_CEILING = -1;
+
+// seconds of audio per scheduled chunk
+const CHUNK_DURATION = 5;
+
+/**
+ * wait a while, unless the signal is aborted first
+ *
+ * @param  {Number}      ms       – milliseconds to wait
+ * @param  {AbortSignal} [signal] – signal to cut the wait short
+ * @return {Promise}              – resolves once the time is up
+ */
+
+function wait( ms, signal ) {
+  return new Promise( ( resolve, reject ) => {
+    let timer = null;
+
+    const abort = () => {
+      clearTimeout( timer );
+      reject( signal.reason );
+    };
+
+    // the same signal lasts the whole load, so don't leave one of these on
+    // it for every retry
+    timer = setTimeout( () => {
+      signal?.removeEventListener( 'abort', abort );
+      resolve();
+    }, ms );
+
+    signal?.addEventListener( 'abort', abort, { once: true } );
+  });
+}
+
+/**
+ * build the name a track is stored under from its url, resolved against
+ * the page so that different spellings of the same url match, and an
+ * optional version
+ *
+ * @param  {String} url       – audio asset url
+ * @param  {String} [version] – asset version
+ * @return {String}           – track name
+ */
+
+function trackName( url, version ) {
+  const { href } = new URL( url, self.location.href );
+  return version ? `${ href }@${ version }` : href;
+}
+
+/**
+ * get the name older releases stored a track under: just the file name,
+ * without its extension
+ *
+ * @param  {String} url – audio asset url
+ * @return {String}     – track name
+ */
+
+function legacyName( url ) {
+  return url.split('/').pop().split('.')[ 0 ];
+}
+
+/**
+ * whether a metadata record was written by an older release, which didn't
+ * record a track's codec, chunk duration or size
+ *
+ * @param  {Object}  metadata – metadata record
+ * @return {Boolean}
+ */
+
+function isLegacy( metadata ) {
+  return [ 'codec', 'chunkDuration', 'bytes' ].every( key => {
+    return !( key in metadata );
+  });
+}
+
+/**
+ * whether a failed fetch is worth trying again. network errors (which
+ * `fetch` and stream reads report as TypeErrors) and temporary server
+ * errors are, anything else (a 404, a file that won't decode...) isn't
+ *
+ * @param  {Error}   err – fetch error
+ * @return {Boolean}
+ */
+
+function isRetryable( err ) {
+  if ( err instanceof FetchError ) {
+    return err.retryable;
+  }
+
+  return err instanceof TypeError;
+}
+
+export default class Streamer extends EventTarget {
 
   /**
    * streamer constructor
    *
+   * the track is stored under its full url, plus `version` when there is
+   * one. the stored copy is checked against the server (with a
+   * conditional request) every time it's loaded, unless it's versioned:
+   * a new version of a file should get a new `version`. with `stored`
+   * set, `url` is instead the name of a track that's already in the store
+   * (a `Recorder` take, say), which is played as it is and never fetched.
+   *
+   * options:
+   *   stored – `url` is a stored track name rather than a url
+   *   version – asset version, e.g. a release number or content hash
+   *   revalidate – check the stored copy against the server on `load`
+   *           (true by default)
+   *   channels – channel map or downmix mode to play the track with (see
+   *           `AudioStore#getAudioBuffer`), e.g. `mono` or `[ 1 ]`
+   *   normalize – target loudness in LUFS, e.g. `-23`. once loaded, the
+   *           track is turned up or down to match, but never so far that
+   *           its true peak goes over -1 dBTP. off by default
+   *   retries – how many times to retry a failed fetch (3 by default)
+   *   retryDelay – milliseconds to wait before the first retry (1000 by
+   *           default), doubling after each one
+   *
+   * events (CustomEvents, with these `detail` payloads; times in seconds):
+   *   loadstart – `{ url }`
+   *   progress – `{ loaded, total }`, in bytes (see `load`)
+   *   loaded – `{ duration, fetched }`. `fetched` is false when the stored
+   *           copy was used
+   *   error – `{ error }`, when loading or reading a chunk fails
+   *   play – `{ offset }`
+   *   pause – `{ offset }`, whenever playback stops
+   *   seeking – `{ offset }`
+   *   seeked – `{ offset }`, once playback carries on from the new offset
+   *   chunkscheduled – `{ offset, duration, when }`, `when` being the
+   *           context time the chunk starts
+   *   ended – `{}`, at the end of the track
+   *   underrun – `{ offset, late }`, when a chunk was read too late to
+   *           start on time and playback has a gap
+   *
    * @method constructor
    *
-   * @param  {String}     url   – audio asset url
-   * @param  {AudioStore} store – AudioStore instance
+   * @param  {String}     url       – audio asset url
+   * @param  {AudioStore} store     – AudioStore instance
+   * @param  {Object}     [opts={}] – optional options object
    * @return {Streamer}
    */
 
-  constructor( url, store ) {
+  constructor( url, store, opts = {} ) {
+    super();
+
     this.ac     = store.ac;
     this.store  = store;
     this.url    = url;
-    this.name   = url.split('/').pop().split('.')[ 0 ];
+    this.name   = opts.stored ? url : trackName( url, opts.version );
     this.active = this.ac.createGain();
+    this.level  = this.ac.createGain();
     this.gain   = this.ac.createGain();
 
     // throwaway audio buffer
@@ -26,11 +161,269 @@ export default class Streamer {
 
     this.stopped = true;
     this.ready   = false;
-
-    this.active.connect( this.gain );
+    this.seeking = false;
+    this.quiet   = false;
+
+    this.channels   = opts.channels;
+    this.normalize  = opts.normalize;
+    this.retries    = opts.retries ?? 3;
+    this.retryDelay = opts.retryDelay ?? 1000;
+    this.version    = opts.version;
+    this.revalidate = opts.revalidate ?? true;
+    this.stored     = opts.stored ?? false;
+
+    this.loop = null;
+
+    // `level` is for normalization, so `gain` is left free for faders
+    this.active.connect( this.level );
+    this.level.connect( this.gain );
     this.gain.connect( this.ac.destination );
   }
 
+  /**
+   * dispatch an event
+   *
+   * @private emit
+   *
+   * @param  {String} type        – event type
+   * @param  {Object} [detail={}] – event payload
+   * @return {Undefined}
+   */
+
+  #emit( type, detail = {} ) {
+    this.dispatchEvent( new CustomEvent( type, { detail } ) );
+  }
+
+  /**
+   * stop and carry on playing from `offset`, without the `pause` and
+   * `play` events
+   *
+   * @private restart
+   *
+   * @param  {Number} offset – offset in seconds
+   * @return {Undefined}
+   */
+
+  #restart( offset ) {
+    this.quiet = true;
+
+    try {
+      this.stop();
+      this.stream( offset );
+    } finally {
+      this.quiet = false;
+    }
+  }
+
+  /**
+   * get the `AudioStore#getAudioBuffer` options for playback
+   *
+   * @private readOptions
+   *
+   * @return {Object}
+   */
+
+  #readOptions() {
+    // resample to the context rate here, so chunk seams stay continuous.
+    // tracks fetched by a streamer are already stored at that rate, so
+    // this is only for ones that aren't, and a cheap kernel will do
+    return {
+      rate: this.ac.sampleRate,
+      channels: this.channels,
+      quality: 'fast'
+    };
+  }
+
+  /**
+   * the track's length in samples at the context's sample rate
+   *
+   * @private frames
+   *
+   * @return {Number}
+   */
+
+  #frames() {
+    return Math.floor( this.duration * this.ac.sampleRate );
+  }
+
+  /**
+   * the loop in samples at the context's sample rate, if there is one
+   *
+   * @private loopFrames
+   *
+   * @return {Object} – `{ start, end, fade }`, or `null`
+   */
+
+  #loopFrames() {
+    if ( !this.loop ) {
+      return null;
+    }
+
+    const rate  = this.ac.sampleRate;
+    const start = Math.round( this.loop.start * rate );
+    const end   = Math.round( this.loop.end * rate );
+
+    // the crossfade runs past the end of the loop, so it's as long as the
+    // track allows
+    const room = Math.max( 0, this.#frames() - end );
+    const fade = Math.min( Math.round( this.loop.crossfade * rate ), room );
+
+    return { start, end, fade };
+  }
+
+  /**
+   * how many samples to schedule from `pos`: up to a chunk, stopping at the
+   * end of the loop or the track
+   *
+   * @private segmentLength
+   *
+   * @param  {Number} pos – position in samples
+   * @return {Number}     – number of samples
+   */
+
+  #segmentLength( pos ) {
+    const loop  = this.#loopFrames();
+    const end   = loop && pos < loop.end ? loop.end : this.#frames();
+    const chunk = Math.round( CHUNK_DURATION * this.ac.sampleRate );
+
+    return Math.min( chunk, end - pos );
+  }
+
+  /**
+   * read a segment of the track into a buffer source, ready to schedule
+   *
+   * a segment that ends a loop carries on past its end for the length of
+   * the crossfade, fading out, and the segment after the wrap fades in over
+   * the same length. they overlap, so the seam is an equal-power crossfade.
+   * anything past the end of the track (a loop can run past it) is silent.
+   *
+   * @private readSegment
+   *
+   * @param  {Number}  pos       – position in samples
+   * @param  {Boolean} [wrapped] – whether this segment follows a wrap
+   * @return {Promise}           – resolves with `{ src, length }`, where
+   *                               `length` is the number of samples until
+   *                               the next segment
+   */
+
+  async #readSegment( pos, wrapped = false ) {
+    const rate   = this.ac.sampleRate;
+    const loop   = this.#loopFrames();
+    const length = this.#segmentLength( pos );
+    const tail   = loop && pos + length === loop.end ? loop.fade : 0;
+    const total  = length + tail;
+    const stored = Math.min( total, this.#frames() - pos );
+
+    let ab = this.ac.createBuffer( 1, total, rate );
+
+    if ( stored > 0 ) {
+      // nudged to the middle of the samples, so the store's rounding lands
+      // on exactly `pos` and `stored`
+      const record = await this.store.getAudioBuffer(
+        this.name, ( pos + 0.25 ) / rate, ( stored - 0.5 ) / rate,
+        this.#readOptions()
+      );
+
+      if ( stored === total ) {
+        ab = record;
+      } else {
+        const channels = record.numberOfChannels;
+        ab = this.ac.createBuffer( channels, total, rate );
+
+        for ( let i = 0; i < channels; ++i ) {
+          ab.getChannelData( i ).set( record.getChannelData( i ) );
+        }
+      }
+    }
+
+    const fadeIn = wrapped && pos === loop.start ? loop.fade : 0;
+
+    for ( let i = 0; i < ab.numberOfChannels; ++i ) {
+      const data = ab.getChannelData( i );
+
+      for ( let j = 0; j < tail; ++j ) {
+        data[ length + j ] *= Math.cos( Math.PI / 2 * ( j + 0.5 ) / tail );
+      }
+
+      for ( let j = 0; j < Math.min( fadeIn, length ); ++j ) {
+        data[ j ] *= Math.sin( Math.PI / 2 * ( j + 0.5 ) / fadeIn );
+      }
+    }
+
+    const src = this.ac.createBufferSource();
+
+    src.buffer = ab;
+
+    return { src, length };
+  }
+
+  /**
+   * wrap a playback position that's run past the end of the loop back into
+   * it. playback that started after the loop never wraps
+   *
+   * @private wrap
+   *
+   * @param  {Number} position – position in seconds
+   * @return {Number}          – position in seconds
+   */
+
+  #wrap( position ) {
+    const { loop } = this;
+
+    if ( !loop || this.startOffset >= loop.end || position < loop.end ) {
+      return position;
+    }
+
+    return loop.start + ( position - loop.end ) % ( loop.end - loop.start );
+  }
+
+  /**
+   * loop playback between `start` and `end`, or stop looping with
+   * `setLoop( null )`
+   *
+   * playback wraps from `end` back to `start` on the exact sample, with an
+   * optional equal-power crossfade (a few milliseconds is plenty to hide a
+   * click). a loop can run past the end of the track, so stems of
+   * different lengths can share one; the gap is silent. changing the loop
+   * while playing restarts playback from the current position.
+   *
+   * options:
+   *   crossfade – crossfade length in seconds (0 by default), at most half
+   *           the loop
+   *
+   * @method setLoop
+   *
+   * @param  {Number}   start     – loop start in seconds
+   * @param  {Number}   end       – loop end in seconds
+   * @param  {Object}   [opts={}] – optional options object
+   * @return {Streamer}
+   */
+
+  setLoop( start, end, opts = {} ) {
+    if ( start !== null && !( start >= 0 && end > start ) ) {
+      throw new Error( `invalid loop ${ start }s-${ end }s` );
+    }
+
+    // where playback has got to with the old loop
+    const playing  = !this.stopped;
+    const position = this.currentTime();
+
+    if ( start === null ) {
+      this.loop = null;
+    } else {
+      const crossfade = Math.min( opts.crossfade || 0, ( end - start ) / 2 );
+      this.loop = { start, end, crossfade };
+    }
+
+    console.info( `loop ${ this.name } ${ start }s-${ end }s` );
+
+    if ( playing ) {
+      this.#restart( position );
+    }
+
+    return this;
+  }
+
   /**
    * Preload a chunk so that a subsequent call to `stream()` can
    * begin immediately without hitting thr database
@@ -50,18 +443,13 @@ export default class Streamer {
       throw new Error( `asset ${ this.name } not loaded` );
     }
 
-    if ( offset >= this.duration ) {
+    const pos = Math.floor( offset * this.ac.sampleRate );
+
+    if ( this.#segmentLength( pos ) <= 0 ) {
       throw new Error( `${ offset } is greater than ${ this.duration }` );
     }
 
-    const store    = this.store;
-    const duration = Math.min( 5, this.duration - offset );
-    const record   = await store.getAudioBuffer( this.name, offset, duration );
-    const src      = this.ac.createBufferSource();
-
-    src.buffer = record;
-
-    this.primed = { offset, src };
+    this.primed = { offset, ...await this.#readSegment( pos ) };
 
     return this;
   }
@@ -69,13 +457,19 @@ export default class Streamer {
   /**
    * Begin playback at the supplied offset (or resume playback)
    *
+   * chunks are scheduled back to back from `when`, counted in whole
+   * samples, so streams started with the same `when` stay locked together
+   * (through every pass of a loop, too)
+   *
    * @method stream
    *
    * @param  {Number} offset – offset in seconds (defaults to 0 or last time )
+   * @param  {Number} [when] – context time to start at (defaults to now, or
+   *                           as soon as the first chunk is read)
    * @return {Streamer}
    */
 
-  stream( offset ) {
+  stream( offset, when ) {
     if ( typeof offset !== 'number' ) {
       offset = this.startOffset !== null ? this.startOffset : 0;
     }
@@ -88,12 +482,10 @@ export default class Streamer {
       throw new Error( `stream ${ this.name } is already playing` );
     }
 
-    if ( this.ending ) {
-      this.ending.onended = () => {};
-      this.ending = null;
-    }
+    const rate  = this.ac.sampleRate;
+    const first = Math.floor( offset * rate );
 
-    if ( offset >= this.duration ) {
+    if ( this.#segmentLength( first ) <= 0 ) {
       return this.stop();
     }
 
@@ -115,61 +507,90 @@ export default class Streamer {
 
     console.info( `streaming ${ this.name } @ ${ offset }s` );
 
-    const play = ( src, when, offset, output ) => {
-      const logtime = ( when - this.ac.currentTime ) * 1000;
-      const logstr  = `playing chunk ${ this.name } @ ${ offset }s`;
+    if ( !this.quiet ) {
+      this.#emit( 'play', { offset } );
+    }
+
+    const output = this.active;
+
+    let played = 0;
+
+    const play = ( src, pos, length ) => {
+      if ( this.startTime === null ) {
+        this.startTime = typeof when === 'number' ? when : this.ac.currentTime;
+      }
+
+      const at      = this.startTime + played / rate;
+      const logtime = ( at - this.ac.currentTime ) * 1000;
+      const logstr  = `playing chunk ${ this.name } @ ${ pos / rate }s`;
 
       this.logtimer = setTimeout( () => console.info( logstr ), logtime );
 
       src.connect( output );
-      src.start( when );
+      src.start( at );
+
+      const detail = { offset: pos / rate, duration: length / rate };
 
-      const dur = src.buffer.duration;
+      if ( played && at < this.ac.currentTime ) {
+        const late = this.ac.currentTime - at;
+        console.info( `underrun ${ this.name } @ ${ detail.offset }s` );
+        this.#emit( 'underrun', { offset: detail.offset, late } );
+      }
 
-      when += dur;
-      offset += dur;
+      this.#emit( 'chunkscheduled', { ...detail, when: at } );
+
+      if ( !played && this.seeking ) {
+        this.seeking = false;
+        this.#emit( 'seeked', { offset: detail.offset } );
+      }
+
+      played += length;
+      pos += length;
+
+      const loop    = this.#loopFrames();
+      const wrapped = Boolean( loop ) && pos === loop.end;
+
+      if ( wrapped ) {
+        pos = loop.start;
+      }
 
-      if ( offset >= this.duration ) {
+      if ( this.#segmentLength( pos ) <= 0 ) {
         this.ending = src;
-        src.onended = () => this.stop();
+        src.onended = () => {
+          if ( this.stopped || this.ending !== src ) {
+            return;
+          }
+
+          this.stop();
+          this.#emit('ended');
+        };
         console.info( `end of file ${ this.name }` );
         return;
       }
 
-      const fetchtime = ( when - this.ac.currentTime ) * 1000 - 2000;
+      const fetchtime = ( this.startTime + played / rate -
+        this.ac.currentTime ) * 1000 - 2000;
 
       this.fetchtimer = setTimeout( () => {
-        console.info( `need chunk ${ this.name } @ ${ offset }s` );
+        console.info( `need chunk ${ this.name } @ ${ pos / rate }s` );
 
         /* eslint-disable no-use-before-define */
-        next( when, offset, output );
+        next( pos, wrapped );
       }, fetchtime );
     };
 
-    const next = ( when = 0, offset = 0, output ) => {
-      const chunkDuration = Math.min( 5, this.duration - offset );
-      this.store.getAudioBuffer( this.name, offset, chunkDuration )
-      .then( record => {
+    const next = ( pos, wrapped ) => {
+      this.#readSegment( pos, wrapped ).then( ({ src, length }) => {
         if ( this.stopped || output !== this.active ) {
           return;
         }
 
-        const ab  = record;
-        const src = this.ac.createBufferSource();
-
-        src.buffer = ab;
-
-        if ( when === 0 ) {
-          when = this.ac.currentTime;
-        }
-
-        if ( this.startTime === null ) {
-          this.startTime = when;
-        }
-
-        play( src, when, offset, output );
+        play( src, pos, length );
       })
-      .catch( err => console.error( err ) );
+      .catch( err => {
+        console.error( err );
+        this.#emit( 'error', { error: err } );
+      });
     };
 
     const primed = this.primed;
@@ -177,10 +598,11 @@ export default class Streamer {
     delete this.primed;
 
     if ( primed && primed.offset === offset ) {
-      return play( primed.src, this.ac.currentTime, offset, this.active );
+      play( primed.src, first, primed.length );
+      return this;
     }
 
-    next( 0, offset, this.active );
+    next( first, false );
 
     return this;
   }
@@ -201,22 +623,40 @@ export default class Streamer {
     this.stopped = true;
     this.active.disconnect();
     this.active = this.ac.createGain();
-    this.active.connect( this.gain );
+    this.active.connect( this.level );
 
-    const elapsed = this.ac.currentTime - this.startTime;
+    // nothing's played yet if the first chunk is still on its way, or is
+    // scheduled for later
+    const elapsed = this.startTime === null ?
+      0 :
+      Math.max( 0, this.ac.currentTime - this.startTime );
 
+    this.startOffset = this.#wrap( this.startOffset + elapsed );
     this.startTime = null;
-    this.startOffset += elapsed;
 
     console.info( `stopping ${ this.name } @ ${ this.startOffset }s` );
 
-    if ( this.startOffset >= this.duration ) {
+    const pos = Math.floor( this.startOffset * this.ac.sampleRate );
+
+    if ( this.#segmentLength( pos ) <= 0 ) {
       this.startOffset = 0;
     }
 
     clearTimeout( this.fetchtimer );
     clearTimeout( this.logtimer );
 
+    // the last chunk's source plays on into the disconnected node, and its
+    // end isn't the end of the track any more (whether we've paused, or
+    // started again from somewhere else)
+    if ( this.ending ) {
+      this.ending.onended = null;
+      this.ending = null;
+    }
+
+    if ( !this.quiet ) {
+      this.#emit( 'pause', { offset: this.startOffset } );
+    }
+
     return this;
   }
 
@@ -235,9 +675,9 @@ export default class Streamer {
 
     const start   = this.startTime || this.ac.currentTime;
     const offset  = this.startOffset || 0;
-    const elapsed = this.ac.currentTime - start;
+    const elapsed = Math.max( 0, this.ac.currentTime - start );
 
-    return offset + elapsed;
+    return this.#wrap( offset + elapsed );
   }
 
   /**
@@ -249,58 +689,387 @@ export default class Streamer {
    */
 
   seek( offset ) {
+    this.#emit( 'seeking', { offset } );
+
     if ( !this.stopped ) {
-      this.stop();
-      this.stream( offset );
+      // `seeked` comes once the first chunk is scheduled
+      this.seeking = true;
+      this.#restart( offset );
     } else {
       this.startOffset = offset;
+      this.#emit( 'seeked', { offset } );
     }
   }
 
   /**
-   * load the audio asset at `this.url`
+   * count bytes as they're read from a response body
+   *
+   * `total` comes from the Content-Length header, so it's `null` when the
+   * server doesn't send one
+   *
+   * @private withProgress
+   *
+   * @param  {Response}       res        – fetch response
+   * @param  {Function}       onProgress – called with `{ loaded, total }`
+   * @return {ReadableStream}            – the response body
+   */
+
+  #withProgress( res, onProgress ) {
+    const length = Number( res.headers.get('content-length') );
+
+    let loaded = 0;
+
+    // compressed responses give the compressed length, so don't let the
+    // decompressed bytes run past it
+    const progress = () => onProgress({
+      loaded,
+      total: length ? Math.max( length, loaded ) : null
+    });
+
+    progress();
+
+    return res.body.pipeThrough( new TransformStream({
+      transform( chunk, controller ) {
+        loaded += chunk.byteLength;
+        progress();
+        controller.enqueue( chunk );
+      }
+    }) );
+  }
+
+  /**
+   * decode a compressed audio file
+   *
+   * @private decode
+   *
+   * @param  {ArrayBuffer} buffer – file contents
+   * @return {Promise}            – resolves with an AudioBuffer
+   */
+
+  #decode( buffer ) {
+    return new Promise( ( resolve, reject ) => {
+      // older Safari only has the callback form, and fails with `null`
+      this.ac.decodeAudioData( buffer, resolve, err => {
+        reject( err || new Error( `failed to decode ${ this.url }` ) );
+      });
+    });
+  }
+
+  /**
+   * fetch the audio asset and save it to the store, once. uncompressed WAV
+   * and AIFF files are streamed into the store without being decoded.
+   *
+   * given a stored copy, the request is conditional on the validators
+   * saved with it, and a 304 resolves with the stored copy untouched
+   *
+   * @private fetchTrack
+   *
+   * @param  {Object}  opts     – `load` options
+   * @param  {Object}  [cached] – metadata of the stored copy
+   * @return {Promise}          – resolves with the track's metadata record
+   */
+
+  async #fetchTrack( opts, cached ) {
+    const { signal, onProgress } = opts;
+    const { etag, lastModified } = cached?.source || {};
+
+    const headers = {};
+
+    if ( etag ) {
+      headers['If-None-Match'] = etag;
+    }
+
+    if ( lastModified ) {
+      headers['If-Modified-Since'] = lastModified;
+    }
+
+    const res = await fetch( this.url, { signal, headers } );
+
+    if ( res.status === 304 && cached ) {
+      console.info( `${ this.url } not modified` );
+      onProgress({ loaded: 0, total: 0 });
+      return cached;
+    }
+
+    if ( !res.ok ) {
+      throw new FetchError( this.url, res.status );
+    }
+
+    const source = {
+      url: this.url,
+      version: this.version,
+      etag: res.headers.get('etag'),
+      lastModified: res.headers.get('last-modified')
+    };
+
+    const body = this.#withProgress( res, onProgress );
+
+    if ( /\.(wav|aiff?)$/i.test( this.url ) ) {
+      // stored at the context rate, like decoded files, so playback doesn't
+      // have to resample every chunk
+      const opts = { sampleRate: this.ac.sampleRate };
+      await this.store.ingestFile( this.name, body, opts );
+    } else {
+      const buffer = await new Response( body ).arrayBuffer();
+      const ab     = await this.#decode( buffer );
+
+      signal?.throwIfAborted();
+
+      await this.store.saveAudioBuffer( this.name, ab );
+    }
+
+    return this.store.setSource( this.name, source );
+  }
+
+  /**
+   * set the normalization gain from the track's loudness
+   *
+   * @private applyNormalization
+   *
+   * @return {Promise} – resolves with the gain in dB
+   */
+
+  async #applyNormalization() {
+    const { integrated, truePeak } = await this.store.getLoudness( this.name );
+
+    // silence, or too short to measure, is left alone
+    if ( integrated === null ) {
+      this.level.gain.value = 1;
+      return 0;
+    }
+
+    const db = Math.min(
+      this.normalize - integrated,
+      PEAK_CEILING - truePeak
+    );
+
+    this.level.gain.value = Math.pow( 10, db / 20 );
+
+    console.info( `normalizing ${ this.name } by ${ db.toFixed( 1 ) }dB` );
+
+    return db;
+  }
+
+  /**
+   * load the audio asset at `this.url`, then apply normalization if it's
+   * turned on
+   *
+   * a track that's already stored is used if the server says it hasn't
+   * changed (or it's versioned), unless `force` is set or it has missing
+   * or broken chunks (see `AudioStore#verifyTrack`). otherwise it's
+   * fetched, retrying network and server errors with backoff, and copies
+   * it replaces (other versions, or one stored by file name by an older
+   * release) are deleted. a stored copy is still used if the server can't
+   * be reached. `onProgress` is
+   * called with `{ loaded, total }` in bytes as the file comes in (`total`
+   * is `null` if the size isn't known, and a stored track reports
+   * `{ loaded: 0, total: 0 }`). aborting `signal` rejects with its
+   * reason, and leaves nothing half-saved behind.
+   *
+   * options:
+   *   force – fetch even if the track is stored
+   *   signal – AbortSignal to cancel the load
+   *   onProgress – progress callback
+   *
+   * `load( true )` still works as shorthand for `load({ force: true })`.
    *
    * @method load
    *
-   * @return {Promise} – resolves with `true`
+   * @param  {Object|Boolean} [opts={}] – optional options object, or
+   *                                      `force`
+   * @return {Promise}                  – resolves with `true`
    */
 
-  async load( force = false ) {
+  async load( opts = {} ) {
+    if ( typeof opts === 'boolean' ) {
+      opts = { force: opts };
+    } else if ( typeof opts !== 'object' || opts === null ) {
+      throw new Error( `load options must be an object, not ${ opts }` );
+    }
+
+    const { force = false, signal } = opts;
+
+    const onProgress = update => {
+      if ( opts.onProgress ) {
+        opts.onProgress( update );
+      }
+
+      this.#emit( 'progress', update );
+    };
+
+    this.#emit( 'loadstart', { url: this.url } );
+
+    let fetched;
+
+    try {
+      fetched = await this.#loadTrack( force, { signal, onProgress } );
+
+      if ( typeof this.normalize === 'number' ) {
+        await this.#applyNormalization();
+      }
+    } catch ( err ) {
+      this.#emit( 'error', { error: err } );
+      throw err;
+    }
+
+    this.#emit( 'loaded', { duration: this.duration, fetched } );
+
+    return true;
+  }
+
+  /**
+   * find the track in the store, or fetch it
+   *
+   * @private loadTrack
+   *
+   * @param  {Boolean} force – fetch even if the track is stored
+   * @param  {Object}  opts  – `fetchTrack` options
+   * @return {Promise}       – resolves with whether the file was fetched
+   */
+
+  async #loadTrack( force, opts ) {
+    let cached = null;
+
+    // there's nowhere to fetch a stored track from
+    if ( this.stored ) {
+      const metadata = await this.store.getMetadata( this.name );
+
+      if ( !metadata ) {
+        throw new Error( `track ${ this.name } does not exist` );
+      }
+
+      opts.onProgress({ loaded: 0, total: 0 });
+      return this.#loaded( metadata, false );
+    }
 
     if ( !force ) {
       console.info( `checking cache for ${ this.name }` );
 
       try {
-        const { duration } = await this.store.getMetadata( this.name );
-        console.info( `cache hit for ${ this.name }` );
-        Object.assign( this, { duration, ready: true } );
-        return true;
+        // a track with missing or broken chunks gets fetched again
+        const { ok } = await this.store.verifyTrack( this.name, {
+          quick: true
+        });
+
+        if ( ok ) {
+          cached = await this.store.getMetadata( this.name );
+        } else {
+          console.info( `incomplete track ${ this.name }, refetching` );
+        }
       } catch {}
     }
 
-    console.info( `fetching ${ this.url }` );
+    // there's nothing to check a versioned track, or one stored without
+    // validators, against
+    const { etag, lastModified } = cached?.source || {};
+    const check = this.revalidate && !this.version && ( etag || lastModified );
 
-    return new Promise( ( resolve, reject ) => {
-      const xhr = new XMLHttpRequest();
+    if ( cached && !check ) {
+      console.info( `cache hit for ${ this.name }` );
+      opts.onProgress({ loaded: 0, total: 0 });
+      return this.#loaded( cached, false );
+    }
+
+    for ( let attempt = 0; ; ++attempt ) {
+      opts.signal?.throwIfAborted();
 
-      xhr.open( 'GET', this.url, true );
-      xhr.responseType = 'arraybuffer';
+      console.info( `fetching ${ this.url }` );
 
-      xhr.onload = () => {
-        this.ac.decodeAudioData( xhr.response, ab => {
-          this.store.saveAudioBuffer( this.name, ab ).then( metadata => {
-            this.duration = metadata.duration;
-            console.info( `fetched ${ this.url }` );
-            this.ready = true;
-            resolve( true );
-          }, reject );
-        }, reject );
-      };
+      try {
+        const metadata = await this.#fetchTrack( opts, cached );
+        const fetched  = metadata !== cached;
+
+        console.info( `fetched ${ this.url }` );
+
+        if ( fetched ) {
+          await this.#sweep().catch( err => {
+            console.info( `couldn't clean up old copies: ${ err.message }` );
+          });
+        }
+
+        return this.#loaded( metadata, fetched );
+      } catch ( err ) {
+        // the store may have evicted the old copy to make room for the new
+        // one, and then there's nothing to fall back on (or revalidate)
+        if ( cached && !await this.store.getMetadata( this.name ) ) {
+          cached = null;
+        }
+
+        // rather play a stale copy than nothing when the server's down
+        if ( cached && !opts.signal?.aborted ) {
+          console.info( `${ err.message }, using stored ${ this.name }` );
+          opts.onProgress({ loaded: 0, total: 0 });
+          return this.#loaded( cached, false );
+        }
+
+        if ( opts.signal?.aborted || attempt >= this.retries ||
+          !isRetryable( err ) ) {
+          throw err;
+        }
 
-      xhr.onerror = reject;
+        const delay = this.retryDelay * Math.pow( 2, attempt );
 
-      xhr.send();
+        console.info( `${ err.message }, retrying in ${ delay }ms` );
+
+        await wait( delay, opts.signal );
+      }
+    }
+  }
+
+  /**
+   * delete the stored copies a freshly fetched track replaces: other
+   * versions of the same url, and the copy an older release stored under
+   * the bare file name. that's only a legacy record if it has none of the
+   * fields newer releases write, so a take the app saved under the same
+   * name is left alone
+   *
+   * @private sweep
+   *
+   * @return {Promise} – resolves with the names of the deleted tracks
+   */
+
+  async #sweep() {
+    const href   = trackName( this.url );
+    const legacy = legacyName( this.url );
+    const tracks = await this.store.listTracks();
+
+    const stale = tracks.filter( record => {
+      const { name, source } = record;
+
+      if ( name === this.name ) {
+        return false;
+      }
+
+      if ( source ) {
+        return trackName( source.url ) === href;
+      }
+
+      return name === legacy && isLegacy( record );
     });
+
+    for ( const { name } of stale ) {
+      console.info( `deleting superseded copy ${ name }` );
+      await this.store.deleteTrack( name );
+    }
+
+    return stale.map( ({ name }) => name );
+  }
+
+  /**
+   * mark the track as ready to play
+   *
+   * @private loaded
+   *
+   * @param  {Object}  metadata – track metadata
+   * @param  {Boolean} fetched  – whether the file was fetched
+   * @return {Boolean}          – `fetched`
+   */
+
+  #loaded( metadata, fetched ) {
+    this.duration = metadata.duration;
+    this.ready    = true;
+
+    return fetched;
   }
 
 }
@@ -0,0 +1,100 @@
+/**
+ * WAV encoding helpers
+ *
+ * 16 and 24-bit output is integer PCM. 32-bit output is IEEE float, which
+ * is what's actually stored, so it's lossless.
+ */
+
+export default {
+
+  /**
+   * bit depths that can be written
+   *
+   * @property bitDepths
+   */
+
+  bitDepths: [ 16, 24, 32 ],
+
+  /**
+   * build a 44-byte canonical WAV header
+   *
+   * @method header
+   *
+   * @param  {Object}     format – `{ rate, channels, bitDepth, length }`,
+   *                               where `length` is in sample frames
+   * @return {Uint8Array}
+   */
+
+  header({ rate, channels, bitDepth, length }) {
+    const view      = new DataView( new ArrayBuffer( 44 ) );
+    const blockSize = channels * bitDepth / 8;
+    const dataSize  = length * blockSize;
+
+    const write = ( offset, str ) => {
+      for ( let i = 0; i < str.length; ++i ) {
+        view.setUint8( offset + i, str.charCodeAt( i ) );
+      }
+    };
+
+    write( 0, 'RIFF' );
+    view.setUint32( 4, 36 + dataSize, true );
+    write( 8, 'WAVE' );
+    write( 12, 'fmt ' );
+    view.setUint32( 16, 16, true );
+    // 3 is WAVE_FORMAT_IEEE_FLOAT, 1 is WAVE_FORMAT_PCM
+    view.setUint16( 20, bitDepth === 32 ? 3 : 1, true );
+    view.setUint16( 22, channels, true );
+    view.setUint32( 24, rate, true );
+    view.setUint32( 28, rate * blockSize, true );
+    view.setUint16( 32, blockSize, true );
+    view.setUint16( 34, bitDepth, true );
+    write( 36, 'data' );
+    view.setUint32( 40, dataSize, true );
+
+    return new Uint8Array( view.buffer );
+  },
+
+  /**
+   * interleave channel data into little-endian sample bytes
+   *
+   * @method interleave
+   *
+   * @param  {Array}      channels – array of Float32Arrays, one per channel
+   * @param  {Number}     bitDepth – 16, 24 or 32
+   * @return {Uint8Array}
+   */
+
+  interleave( channels, bitDepth ) {
+    const size   = bitDepth / 8;
+    const frames = channels[ 0 ].length;
+    const bytes  = frames * channels.length * size;
+    const view   = new DataView( new ArrayBuffer( bytes ) );
+    const max    = Math.pow( 2, bitDepth - 1 );
+
+    for ( let frame = 0, pos = 0; frame < frames; ++frame ) {
+      for ( let ch = 0; ch < channels.length; ++ch, pos += size ) {
+        const sample = channels[ ch ][ frame ];
+
+        if ( bitDepth === 32 ) {
+          view.setFloat32( pos, sample, true );
+          continue;
+        }
+
+        const clamped = Math.max( -1, Math.min( 1, sample ) );
+        const scale   = clamped < 0 ? max : max - 1;
+        const value   = Math.round( clamped * scale );
+
+        if ( bitDepth === 16 ) {
+          view.setInt16( pos, value, true );
+        } else {
+          view.setUint8( pos, value & 0xff );
+          view.setUint8( pos + 1, value >> 8 & 0xff );
+          view.setUint8( pos + 2, value >> 16 & 0xff );
+        }
+      }
+    }
+
+    return new Uint8Array( view.buffer );
+  }
+
+};
@@ -0,0 +1,26 @@
+import serializer from './serializer.js';
+
+/**
+ * Worker entry point for `WorkerSerializer`
+ *
+ * messages look like `{ id, method, args }`, and get a reply of
+ * `{ id, result }` or `{ id, error }`. any Float32Arrays in the result
+ * are transferred rather than copied.
+ */
+
+self.onmessage = async ev => {
+  const { id, method, args } = ev.data;
+
+  try {
+    const result   = await serializer[ method ]( ...args );
+    const items    = Array.isArray( result ) ? result : [];
+    const buffers  = items
+    .filter( item => item instanceof Float32Array )
+    .map( f32 => f32.buffer );
+
+    self.postMessage( { id, result }, [ ...new Set( buffers ) ] );
+  } catch ( err ) {
+    const error = { name: err.name, message: err.message };
+    self.postMessage({ id, error });
+  }
+};
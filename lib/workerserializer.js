@@ -0,0 +1,230 @@
+export default class WorkerSerializer {
+
+  /**
+   * WorkerSerializer constructor
+   *
+   * Same interface as serializer.js, but every call runs in a Worker so
+   * chunk encoding, decoding and merging (and loudness measuring) stay off
+   * the main thread. sample data is transferred both ways rather than
+   * copied, so arrays passed in can't be used afterwards.
+   *
+   * @method constructor
+   *
+   * @param  {URL|String}       [url] – worker script url (defaults to
+   *                                    worker.js)
+   * @return {WorkerSerializer}
+   */
+
+  constructor( url = new URL( './worker.js', import.meta.url ) ) {
+    this.worker  = new Worker( url, { type: 'module' } );
+    this.pending = new Map();
+    this.id      = 0;
+
+    this.worker.onmessage = ev => this.#onMessage( ev );
+    this.worker.onerror = ev => this.#onError( ev );
+  }
+
+  /**
+   * settle the call that a worker reply belongs to
+   *
+   * @private onMessage
+   *
+   * @param  {MessageEvent} ev – worker reply
+   * @return {Undefined}
+   */
+
+  #onMessage( ev ) {
+    const { id, result, error } = ev.data;
+    const call                  = this.pending.get( id );
+
+    // already failed by `#onError`
+    if ( !call ) {
+      return;
+    }
+
+    const { resolve, reject } = call;
+
+    this.pending.delete( id );
+
+    if ( error ) {
+      const err = new Error( error.message );
+      err.name = error.name;
+      reject( err );
+    } else {
+      resolve( result );
+    }
+  }
+
+  /**
+   * fail every outstanding call if the worker itself blows up
+   *
+   * @private onError
+   *
+   * @param  {ErrorEvent} ev – worker error
+   * @return {Undefined}
+   */
+
+  #onError( ev ) {
+    const err = new Error( ev.message || 'worker error' );
+
+    this.pending.forEach( ({ reject }) => reject( err ) );
+    this.pending.clear();
+  }
+
+  /**
+   * call a serializer method in the worker
+   *
+   * @private call
+   *
+   * @param  {String}  method       – serializer method name
+   * @param  {Array}   args         – method arguments
+   * @param  {Array}   [channels=[]] – Float32Arrays in `args` to transfer
+   * @return {Promise}               – resolves with the method's result
+   */
+
+  #call( method, args, channels = [] ) {
+    return new Promise( ( resolve, reject ) => {
+      const id       = ++this.id;
+      const transfer = new Set( channels.map( f32 => f32.buffer ) );
+
+      this.pending.set( id, { resolve, reject } );
+      this.worker.postMessage( { id, method, args }, [ ...transfer ] );
+    });
+  }
+
+  /**
+   * encode channel data for storage. the channel data is transferred
+   *
+   * @method encode
+   *
+   * @param  {Array}   channelData – array of Float32Arrays, one per channel
+   * @param  {String}  codec       – codec name
+   * @param  {Boolean} blobs       – store Blobs (true) or strings (false)
+   * @return {Promise}             – resolves with
+   *                                 `{ channels, checksums, sizes }`
+   */
+
+  encode( channelData, codec, blobs ) {
+    const args = [ channelData, codec, blobs ];
+    return this.#call( 'encode', args, channelData );
+  }
+
+  /**
+   * decode stored channel data
+   *
+   * @method decode
+   *
+   * @param  {Array}   channels    – array of Blobs or Strings
+   * @param  {String}  codec       – codec name
+   * @param  {Array}   [checksums] – CRC-32 of each channel
+   * @return {Promise}             – resolves with an array of Float32Arrays
+   */
+
+  decode( channels, codec, checksums ) {
+    return this.#call( 'decode', [ channels, codec, checksums ] );
+  }
+
+  /**
+   * stitch consecutive chunks together and trim them to `start`-`end`.
+   * the chunks' channel data is transferred
+   *
+   * @method merge
+   *
+   * @param  {Array}   chunks – array of chunks, each an array of
+   *                            Float32Arrays (one per channel)
+   * @param  {Number}  start  – start offset in samples
+   * @param  {Number}  end    – end offset in samples
+   * @return {Promise}        – resolves with an array of Float32Arrays
+   */
+
+  merge( chunks, start, end ) {
+    return this.#call( 'merge', [ chunks, start, end ], chunks.flat() );
+  }
+
+  /**
+   * convert channel data to another sample rate. the channel data is
+   * transferred
+   *
+   * @method resample
+   *
+   * @param  {Array}   channels – array of Float32Arrays, one per channel
+   * @param  {Object}  opts     – `resampler.resample` options
+   * @return {Promise}          – resolves with an array of Float32Arrays
+   */
+
+  resample( channels, opts ) {
+    return this.#call( 'resample', [ channels, opts ], channels );
+  }
+
+  /**
+   * mix channel data through a channel matrix. the channel data is
+   * transferred
+   *
+   * @method mix
+   *
+   * @param  {Array}   channels – array of Float32Arrays, one per channel
+   * @param  {Array}   matrix   – channel matrix
+   * @return {Promise}          – resolves with an array of Float32Arrays
+   */
+
+  mix( channels, matrix ) {
+    return this.#call( 'mix', [ channels, matrix ], channels );
+  }
+
+  /**
+   * start measuring loudness in the worker
+   *
+   * @method startMeter
+   *
+   * @param  {Number}  id       – meter id
+   * @param  {Number}  channels – number of channels
+   * @param  {Number}  rate     – sample rate
+   * @return {Promise}
+   */
+
+  startMeter( id, channels, rate ) {
+    return this.#call( 'startMeter', [ id, channels, rate ] );
+  }
+
+  /**
+   * add a block of channel data to a loudness meter. the channel data is
+   * transferred
+   *
+   * @method measure
+   *
+   * @param  {Number}  id       – meter id
+   * @param  {Array}   channels – array of Float32Arrays, one per channel
+   * @return {Promise}
+   */
+
+  measure( id, channels ) {
+    return this.#call( 'measure', [ id, channels ], channels );
+  }
+
+  /**
+   * finish a loudness meter
+   *
+   * @method finishMeter
+   *
+   * @param  {Number}  id – meter id
+   * @return {Promise}    – resolves with `{ integrated, truePeak, rms }`
+   */
+
+  finishMeter( id ) {
+    return this.#call( 'finishMeter', [ id ] );
+  }
+
+  /**
+   * shut down the worker
+   *
+   * @method terminate
+   *
+   * @return {WorkerSerializer}
+   */
+
+  terminate() {
+    this.worker.terminate();
+    return this;
+  }
+
+}
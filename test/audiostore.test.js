@@ -0,0 +1,714 @@
+import assert   from 'node:assert/strict';
+import { test } from 'node:test';
+
+import AudioStore from '../lib/audiostore.js';
+import MemoryDB   from '../lib/memorydb.js';
+import PCMReader  from '../lib/pcmreader.js';
+
+console.info = () => {};
+
+const RATE = 8000;
+
+function noise( length ) {
+  return Float32Array.from( { length }, () => Math.random() * 2 - 1 );
+}
+
+async function setup( opts = {} ) {
+  const db    = new MemoryDB();
+  const store = new AudioStore( null, { db, duration: 1, ...opts } );
+
+  await store.init();
+
+  await store.ingest( 'noise', [ [ noise( RATE * 3.5 ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+
+  return { db, store };
+}
+
+// change a stored chunk record behind the store's back
+async function tamper( db, id, fn ) {
+  const [ chunk ] = await db.getRecords( 'chunks', [ id ] );
+  fn( chunk );
+  await db.saveRecords( 'chunks', [ chunk ] );
+}
+
+test( 'a quick check reads chunks in batches of 16', async() => {
+  const { db, store } = await setup({ duration: 0.1 });
+  const getRecords    = db.getRecords;
+  const batches       = [];
+
+  db.getRecords = ( storename, ids ) => {
+    batches.push( ids.length );
+    return getRecords.call( db, storename, ids );
+  };
+
+  const report = await store.verifyTrack( 'noise', { quick: true } );
+
+  assert.equal( report.ok, true );
+  assert.deepEqual( batches, [ 16, 16, 3 ] );
+});
+
+test( 'a quick check finds truncated blobs', async() => {
+  const { db, store } = await setup();
+
+  await tamper( db, 'noise#1-1', chunk => {
+    chunk.channels[ 0 ] = chunk.channels[ 0 ].slice( 0, 100 );
+  });
+
+  const report = await store.verifyTrack( 'noise', { quick: true } );
+
+  assert.deepEqual( report.corrupt, [ 'noise#1-1' ] );
+});
+
+test( 'a quick check finds truncated strings', async() => {
+  const { db, store } = await setup({ blobs: false });
+
+  await tamper( db, 'noise#1-2', chunk => {
+    chunk.channels[ 0 ] = chunk.channels[ 0 ].slice( 0, -1 );
+  });
+
+  const report = await store.verifyTrack( 'noise', { quick: true } );
+
+  assert.deepEqual( report.corrupt, [ 'noise#1-2' ] );
+});
+
+test( 'a full check finds changed bytes', async() => {
+  const { db, store } = await setup({ blobs: false });
+
+  await tamper( db, 'noise#1-0', chunk => {
+    const str = chunk.channels[ 0 ];
+    chunk.channels[ 0 ] = 'x' + str.slice( 1 );
+  });
+
+  const quick = await store.verifyTrack( 'noise', { quick: true } );
+  const full  = await store.verifyTrack('noise');
+
+  assert.equal( quick.ok, true );
+  assert.deepEqual( full.corrupt, [ 'noise#1-0' ] );
+});
+
+test( 'a check finds missing chunks', async() => {
+  const { db, store } = await setup();
+
+  await db.deleteRecords( 'chunks', [ 'noise#1-3' ] );
+
+  for ( const quick of [ true, false ] ) {
+    const report = await store.verifyTrack( 'noise', { quick } );
+    assert.deepEqual( report.missing, [ 'noise#1-3' ] );
+  }
+});
+
+// every stored peak page for a track, in order
+async function peakPages( db, name ) {
+  const records = await db.getAllRecords('peaks');
+
+  const pages = records.filter( record => record.name === name );
+  const order = ( a, b ) => a.level - b.level || a.page - b.page;
+
+  return pages.sort( order ).map( ({ level, page, length, channels }) => {
+    return { level, page, length, channels };
+  });
+}
+
+// save a copy of a track from scratch, and check that its peaks match
+async function assertPeaks( db, store, name ) {
+  const metadata = await store.getMetadata( name );
+  const total    = Math.round( metadata.duration * metadata.rate );
+  const blocks   = [];
+
+  for ( let i = 0; i < total; i += 1 << 20 ) {
+    const length = Math.min( 1 << 20, total - i );
+    blocks.push( await store.getSamples( name, i, length ) );
+  }
+
+  await store.deleteTrack('copy');
+  await store.ingest( 'copy', blocks, { rate: RATE, channels: 1 } );
+
+  const copy = await store.getMetadata('copy');
+
+  assert.deepEqual( metadata.peaks, copy.peaks );
+  const pages = await peakPages( db, name );
+  assert.deepEqual( pages, await peakPages( db, 'copy' ) );
+}
+
+test( 'edits and undo only patch the peaks they change', async() => {
+  const db    = new MemoryDB();
+  const store = new AudioStore( null, { db, duration: 60 } );
+
+  // a bit more than one peak at the coarsest level, 256 * 4^7 samples
+  const width = 4194304;
+  const at    = sample => sample / RATE;
+
+  await store.init();
+  await store.ingest( 'long', [ [ noise( width * 1.25 ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+
+  await store.overwriteRegion( 'long', at( width + 1000 ), [ noise( 5000 ) ] );
+  await assertPeaks( db, store, 'long' );
+
+  await store.insertRegion( 'long', at( width - 300 ), [ noise( 77777 ) ] );
+  await assertPeaks( db, store, 'long' );
+
+  await store.deleteRegion( 'long', at( 100 ), at( width ) );
+  await assertPeaks( db, store, 'long' );
+
+  for ( let i = 0; i < 3; ++i ) {
+    await store.undo('long');
+    await assertPeaks( db, store, 'long' );
+  }
+});
+
+test( 'edits measure loudness again when it is next asked for', async() => {
+  const { store } = await setup();
+  const before    = await store.getLoudness('noise');
+
+  await store.overwriteRegion( 'noise', 1, [ new Float32Array( RATE ) ] );
+
+  assert.equal( ( await store.getMetadata('noise') ).loudness, undefined );
+  assert.ok( ( await store.getLoudness('noise') ).rms < before.rms );
+
+  await store.undo('noise');
+
+  assert.deepEqual( ( await store.getMetadata('noise') ).loudness, before );
+});
+
+test( 'true peak ignores the edges of the track', async() => {
+  const db    = new MemoryDB();
+  const store = new AudioStore( null, { db } );
+
+  await store.init();
+  await store.ingest( 'dc', [ [ new Float32Array( RATE ).fill( 0.5 ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+
+  const { truePeak } = await store.getLoudness('dc');
+
+  assert.ok( Math.abs( truePeak - 20 * Math.log10( 0.5 ) ) < 1e-3 );
+});
+
+test( 'measuring loudness lets other tasks in', async() => {
+  const db    = new MemoryDB();
+  const store = new AudioStore( null, { db } );
+
+  let ticks = 0;
+
+  await store.init();
+
+  const timer = setInterval( () => ticks++, 0 );
+
+  await store.ingest( 'long', [ [ noise( RATE * 10 ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+
+  clearInterval( timer );
+
+  assert.ok( ticks >= 5 );
+});
+
+test( 'edits that shorten a track leave no chunks behind', async() => {
+  const { db, store } = await setup();
+
+  await store.deleteRegion( 'noise', 1, 2 );
+  assert.equal( ( await store.getMetadata('noise') ).chunks, 2 );
+
+  await store.deleteTrack('noise');
+  assert.deepEqual( await db.getAllRecords('chunks'), [] );
+});
+
+test( 'undoing an edit leaves no chunks behind', async() => {
+  const { db, store } = await setup();
+
+  await store.insertRegion( 'noise', 1, [ noise( RATE * 2 ) ] );
+  await store.deleteRegion( 'noise', 0.5, 4 );
+  await store.undo('noise');
+  await store.undo('noise');
+
+  const chunks = await db.getAllRecords('chunks');
+
+  assert.deepEqual( chunks.map( ({ id }) => id ).sort(), [
+    'noise#1-0', 'noise#1-1', 'noise#1-2', 'noise#1-3'
+  ]);
+
+  await store.deleteTrack('noise');
+  assert.deepEqual( await db.getAllRecords('chunks'), [] );
+});
+
+// ids of every stored chunk and peak page
+async function storedIds( db ) {
+  const chunks = await db.getAllRecords('chunks');
+  const peaks  = await db.getAllRecords('peaks');
+
+  return [ ...chunks, ...peaks ].map( ({ id }) => id ).sort();
+}
+
+test( 'saving over a track keeps others and drops the old copy', async() => {
+  const db     = new MemoryDB();
+  const store  = new AudioStore( null, { db, duration: 1 } );
+  const format = { rate: RATE, channels: 1 };
+
+  await store.init();
+  await store.ingest( 'other', [ [ noise( RATE ) ] ], format );
+  await store.ingest( 'noise', [ [ noise( RATE * 2 ) ] ], format );
+
+  const other = await store.getMetadata('other');
+  const old   = await store.getMetadata('noise');
+
+  // room for both, but not for two copies of 'noise'
+  store.quota = other.bytes + old.bytes + 10;
+
+  const samples  = [ noise( RATE * 2 ) ];
+  const metadata = await store.ingest( 'noise', [ samples ], format );
+
+  assert.equal( metadata.generation, 2 );
+  assert.ok( await store.getMetadata('other') );
+  assert.deepEqual( await store.getSamples( 'noise', 0, RATE * 2 ), samples );
+
+  const ids    = await storedIds( db );
+  const chunks = await db.getAllRecords('chunks');
+
+  assert.deepEqual( ids, ids.filter( id => /^(noise#2|other#1)-/.test( id ) ) );
+  assert.deepEqual( chunks.map( ({ id }) => id ).sort(), [
+    'noise#2-0', 'noise#2-1', 'other#1-0'
+  ]);
+});
+
+test( 'a failed save over a track leaves the old one alone', async() => {
+  const { db, store } = await setup();
+
+  const before = await storedIds( db );
+  const blocks = ( function *() {
+    yield [ noise( RATE * 2 ) ];
+    throw new Error('broken');
+  })();
+
+  await assert.rejects( store.ingest( 'noise', blocks, {
+    rate: RATE,
+    channels: 1
+  }), /broken/ );
+
+  assert.equal( ( await store.getMetadata('noise') ).generation, 1 );
+  assert.deepEqual( await storedIds( db ), before );
+});
+
+test( 'an empty read at the very end of a track is empty', async() => {
+  const { store } = await setup();
+
+  await store.ingest( 'two', [ [ noise( RATE * 2 ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+
+  const empty = [ new Float32Array( 0 ) ];
+
+  assert.deepEqual( await store.getChannelData( 'two', 2, 0 ), empty );
+  assert.deepEqual( await store.getSamples( 'two', RATE * 2, 0 ), empty );
+});
+
+test( 'building peaks keeps metadata changes made meanwhile', async() => {
+  const { db, store } = await setup();
+
+  const metadata = await store.getMetadata('noise');
+  const pages    = await db.getAllRecords('peaks');
+
+  delete metadata.peaks;
+  await db.saveRecords( 'metadata', [ metadata ] );
+  await db.deleteRecords( 'peaks', pages.map( ({ id }) => id ) );
+
+  await Promise.all([
+    store.getPeaks('noise'),
+    store.setSource( 'noise', { url: 'noise.wav' } )
+  ]);
+
+  const saved = await store.getMetadata('noise');
+
+  assert.ok( saved.peaks );
+  assert.deepEqual( saved.source, { url: 'noise.wav' } );
+});
+
+test( 'measuring loudness keeps metadata changes made meanwhile', async() => {
+  const { db, store } = await setup();
+
+  const metadata = await store.getMetadata('noise');
+
+  delete metadata.loudness;
+  await db.saveRecords( 'metadata', [ metadata ] );
+
+  await Promise.all([
+    store.getLoudness('noise'),
+    store.setSource( 'noise', { url: 'noise.wav' } )
+  ]);
+
+  const saved = await store.getMetadata('noise');
+
+  assert.ok( saved.loudness );
+  assert.deepEqual( saved.source, { url: 'noise.wav' } );
+});
+
+// an empty store with a clock that only moves when a test says so
+async function clocked( opts = {} ) {
+  const db    = new MemoryDB();
+  const store = new AudioStore( null, { db, duration: 1, ...opts } );
+  const clock = { now: 1000 };
+  const now   = Date.now;
+
+  Date.now = () => clock.now;
+  clock.restore = () => Date.now = now;
+
+  await store.init();
+
+  const save = async name => {
+    clock.now += 1000;
+    return store.ingest( name, [ [ noise( RATE ) ] ], {
+      rate: RATE,
+      channels: 1
+    });
+  };
+
+  return { db, store, clock, save };
+}
+
+test( 'going over the quota evicts the least recently used tracks', async() => {
+  const { store, clock, save } = await clocked();
+
+  try {
+    const { bytes } = await save('a');
+
+    await save('b');
+    await save('c');
+
+    // reading 'a' makes 'b' the least recently used
+    clock.now += 1000;
+    await store.getSamples( 'a', 0, 10 );
+
+    store.quota = bytes * 3 + 10;
+    await save('d');
+
+    const names = ( await store.listTracks() ).map( ({ name }) => name );
+
+    assert.deepEqual( names.sort(), [ 'a', 'c', 'd' ] );
+
+    // and after that, 'c'
+    await save('e');
+
+    const left = ( await store.listTracks() ).map( ({ name }) => name );
+
+    assert.deepEqual( left.sort(), [ 'a', 'd', 'e' ] );
+  } finally {
+    clock.restore();
+  }
+});
+
+test( 'a save the browser says is too big evicts and tries again', async() => {
+  const { db, store, clock, save } = await clocked();
+
+  try {
+    await save('a');
+    await save('b');
+
+    const saveRecords = db.saveRecords;
+
+    let full = true;
+
+    db.saveRecords = async( storename, records ) => {
+      if ( storename === 'chunks' && full ) {
+        full = false;
+        throw new DOMException( 'storage full', 'QuotaExceededError' );
+      }
+
+      return saveRecords.call( db, storename, records );
+    };
+
+    await save('c');
+
+    const names = ( await store.listTracks() ).map( ({ name }) => name );
+
+    assert.deepEqual( names.sort(), [ 'b', 'c' ] );
+  } finally {
+    clock.restore();
+  }
+});
+
+test( 'deleting a track removes all of its records', async() => {
+  const { db, store } = await setup();
+
+  await store.deleteRegion( 'noise', 0.5, 1 );
+
+  assert.equal( await store.deleteTrack('noise'), true );
+  assert.equal( await store.deleteTrack('noise'), false );
+
+  for ( const storename of [ 'chunks', 'metadata', 'peaks' ] ) {
+    assert.deepEqual( await db.getAllRecords( storename ), [] );
+  }
+});
+
+// read an exported WAV back as one Float32Array per channel
+async function readWav( source ) {
+  const reader = new PCMReader( source );
+  const parts  = [];
+
+  for await ( const [ channel ] of reader.blocks() ) {
+    parts.push( ...channel );
+  }
+
+  return { format: reader.format, samples: Float32Array.from( parts ) };
+}
+
+for ( const bitDepth of [ 16, 24, 32 ] ) {
+  test( `exports a region as ${ bitDepth }-bit WAV`, async() => {
+    const { store } = await setup();
+
+    const blob = await store.exportWav( 'noise', {
+      offset: 0.75,
+      duration: 2,
+      bitDepth
+    });
+
+    const { format, samples } = await readWav( blob );
+    const [ expected ]        = await store.getSamples( 'noise', 6000, 16000 );
+
+    assert.equal( blob.type, 'audio/wav' );
+    assert.equal( format.bitDepth, bitDepth );
+    assert.equal( format.float, bitDepth === 32 );
+    assert.equal( format.length, 16000 );
+
+    const tolerance = bitDepth === 32 ? 0 : Math.pow( 2, 2 - bitDepth );
+
+    samples.forEach( ( v, i ) => {
+      assert.ok( Math.abs( v - expected[ i ] ) <= tolerance );
+    });
+  });
+}
+
+test( 'exports the rest of a track as a stream', async() => {
+  const { store } = await setup();
+
+  const stream = await store.exportWav( 'noise', {
+    offset: 1,
+    bitDepth: 32,
+    stream: true
+  });
+
+  assert.ok( stream instanceof ReadableStream );
+
+  const { format, samples } = await readWav( stream );
+  const [ expected ]        = await store.getSamples( 'noise', RATE, 20000 );
+
+  assert.equal( format.length, 20000 );
+  assert.deepEqual( samples, expected );
+});
+
+test( 'lists every track with its size and codec', async() => {
+  const { store } = await setup();
+
+  store.codec = 'int16';
+  store.duration = 0.5;
+  await store.ingest( 'quiet', [ [ noise( RATE * 3.5 ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+
+  const names = ( await store.listTracks() ).map( ({ name }) => name );
+
+  assert.deepEqual( names.sort(), [ 'noise', 'quiet' ] );
+
+  const { bytes, quota, tracks } = await store.getStats();
+  const [ noisy, quiet ]         = tracks.sort( ( a, b ) => {
+    return a.name < b.name ? -1 : 1;
+  });
+
+  assert.equal( quota, Infinity );
+  assert.equal( bytes, noisy.bytes + quiet.bytes );
+
+  assert.deepEqual( [ noisy.codec, noisy.chunks, noisy.chunkDuration ], [
+    'float32', 4, 1
+  ]);
+  assert.deepEqual( [ quiet.codec, quiet.chunks, quiet.chunkDuration ], [
+    'int16', 7, 0.5
+  ]);
+  assert.equal( noisy.duration, quiet.duration );
+  assert.ok( quiet.bytes < noisy.bytes * 0.6 );
+});
+
+test( 'stats count the copies kept for undo', async() => {
+  const { store } = await setup();
+
+  const [ before ] = ( await store.getStats() ).tracks;
+
+  await store.deleteRegion( 'noise', 0, 0.5 );
+
+  const [ after ] = ( await store.getStats() ).tracks;
+
+  assert.ok( after.bytes > before.bytes );
+});
+
+test( 'repeated reads come from the cache', async() => {
+  const { db, store } = await setup({ cacheSize: 1 });
+  const getRecords    = db.getRecords;
+
+  let reads = 0;
+
+  db.getRecords = ( ...args ) => {
+    reads++;
+    return getRecords.apply( db, args );
+  };
+
+  const first  = await store.getSamples( 'noise', 4000, 8000 );
+  const second = await store.getSamples( 'noise', 4000, 8000 );
+
+  assert.deepEqual( first, second );
+  assert.equal( reads, 1 );
+  assert.deepEqual( [ store.cache.hits, store.cache.misses ], [ 2, 2 ] );
+});
+
+test( 'edits, saves and deletes clear cached chunks', async() => {
+  const { store } = await setup({ cacheSize: 1 });
+  const format    = { rate: RATE, channels: 1 };
+
+  const [ second ] = await store.getSamples( 'noise', RATE, 10 );
+
+  await store.getSamples( 'noise', 0, 10 );
+  await store.deleteRegion( 'noise', 0, 1 );
+
+  assert.deepEqual( await store.getSamples( 'noise', 0, 10 ), [ second ] );
+
+  const silence = new Float32Array( RATE );
+
+  await store.ingest( 'noise', [ [ silence ] ], format );
+  assert.deepEqual( await store.getSamples( 'noise', 0, RATE ), [ silence ] );
+
+  await store.deleteTrack('noise');
+  assert.equal( store.cache.chunks.size, 0 );
+});
+
+test( 'resampled reads join up across chunks and windows', async() => {
+  const { store } = await setup();
+
+  const opts  = { rate: 12000 };
+  const whole = await store.getChannelData( 'noise', 0, 3, opts );
+  const parts = [];
+
+  // windows that start and end part way through chunks
+  for ( let offset = 0; offset < 3; offset += 0.75 ) {
+    const [ part ] = await store.getChannelData( 'noise', offset, 0.75, opts );
+    parts.push( ...part );
+  }
+
+  assert.equal( whole[ 0 ].length, 12000 * 3 );
+  assert.deepEqual( Float32Array.from( parts ), whole[ 0 ] );
+});
+
+test( 'tracks can be converted to a new rate as they are saved', async() => {
+  const { store } = await setup({ sampleRate: 16000 });
+
+  const metadata = await store.getMetadata('noise');
+
+  assert.equal( metadata.rate, 16000 );
+  assert.equal( metadata.sourceRate, RATE );
+  assert.equal( metadata.duration, 3.5 );
+
+  const format = { rate: RATE, channels: 1 };
+  const blocks = [ [ noise( RATE ) ] ];
+  const other  = await store.ingest( 'other', blocks, format, {
+    sampleRate: 22050
+  });
+
+  assert.equal( other.rate, 22050 );
+  assert.equal( other.duration, 1 );
+
+  const [ left ] = await store.getChannelData( 'noise', 0, 1 );
+
+  assert.equal( left.length, 16000 );
+});
+
+test( 'fast resampling is close to the best', async() => {
+  const { store } = await setup();
+
+  const tone = Float32Array.from( { length: RATE * 2 }, ( v, i ) => {
+    return Math.sin( 2 * Math.PI * 440 * i / RATE );
+  });
+
+  await store.ingest( 'tone', [ [ tone ] ], { rate: RATE, channels: 1 } );
+
+  const opts     = { rate: 16000 };
+  const [ best ] = await store.getChannelData( 'tone', 0.5, 1, opts );
+  const [ fast ] = await store.getChannelData( 'tone', 0.5, 1, {
+    ...opts,
+    quality: 'fast'
+  });
+
+  const error = best.reduce( ( max, v, i ) => {
+    return Math.max( max, Math.abs( v - fast[ i ] ) );
+  }, 0 );
+
+  assert.notDeepEqual( fast, best );
+  assert.ok( error < 1e-2 );
+});
+
+// a track with a different constant on each channel
+async function layout( store, name, values ) {
+  const block = values.map( v => new Float32Array( RATE * 2 ).fill( v ) );
+
+  await store.ingest( name, [ block ], {
+    rate: RATE,
+    channels: values.length
+  });
+}
+
+// the first sample of each channel of a read
+async function levels( store, name, channels ) {
+  const data = await store.getSamples( name, RATE, 10, { channels } );
+  return data.map( f32 => f32[ 0 ] );
+}
+
+test( 'reads pick channels and downmix', async() => {
+  const { store } = await setup();
+
+  await layout( store, 'stereo', [ 0.5, -0.25 ] );
+
+  assert.deepEqual( await levels( store, 'stereo' ), [ 0.5, -0.25 ] );
+  assert.deepEqual( await levels( store, 'stereo', [ 1 ] ), [ -0.25 ] );
+  assert.deepEqual( await levels( store, 'stereo', [ 0, 0 ] ), [ 0.5, 0.5 ] );
+  assert.deepEqual( await levels( store, 'stereo', [ 1, 0 ] ), [ -0.25, 0.5 ] );
+  assert.deepEqual( await levels( store, 'stereo', 'mono' ), [ 0.125 ] );
+
+  await assert.rejects( levels( store, 'stereo', [ 2 ] ), {
+    message: 'stereo has no channel 2'
+  });
+});
+
+test( '5.1 folds down to stereo', async() => {
+  const { store } = await setup();
+
+  // L, R, C, LFE, SL, SR
+  await layout( store, 'surround', [ 0.5, 0.25, 0.5, 1, 0.25, 0 ] );
+
+  const [ left, right ] = await levels( store, 'surround', 'stereo' );
+
+  assert.ok( Math.abs( left - ( 0.5 + 0.75 * Math.SQRT1_2 ) ) < 1e-6 );
+  assert.ok( Math.abs( right - ( 0.25 + 0.5 * Math.SQRT1_2 ) ) < 1e-6 );
+});
+
+test( 'channels a read does not use are never decoded', async() => {
+  const { store } = await setup({ cacheSize: 1 });
+
+  await layout( store, 'stereo', [ 0.5, -0.25 ] );
+  await levels( store, 'stereo', [ 1 ] );
+
+  const cached = () => {
+    const chunks = [ ...store.cache.chunks.values() ];
+    return chunks.find( ({ name }) => name === 'stereo' );
+  };
+
+  assert.equal( cached().channels[ 0 ], undefined );
+  assert.ok( cached().channels[ 1 ] );
+
+  // and are decoded when they're wanted later
+  assert.deepEqual( await levels( store, 'stereo' ), [ 0.5, -0.25 ] );
+  assert.ok( cached().channels[ 0 ] );
+});
@@ -0,0 +1,89 @@
+import assert   from 'node:assert/strict';
+import { test } from 'node:test';
+
+import ChunkCache from '../lib/chunkcache.js';
+
+const MB = 1024 * 1024;
+
+// a parsed chunk of `bytes` bytes per channel
+function chunk( name, bytes, channels = 1 ) {
+  return {
+    name,
+    channels: Array.from( { length: channels }, () => {
+      return new Float32Array( bytes / 4 );
+    })
+  };
+}
+
+test( 'counts hits and misses', () => {
+  const cache = new ChunkCache( 1 );
+  const a     = chunk( 'a', 1024 );
+
+  assert.equal( cache.get('a-0'), undefined );
+
+  cache.set( 'a-0', a );
+
+  assert.equal( cache.get('a-0'), a );
+  assert.equal( cache.get('a-1'), undefined );
+  assert.deepEqual( [ cache.hits, cache.misses ], [ 1, 2 ] );
+});
+
+test( 'evicts the least recently used chunks to stay in budget', () => {
+  const cache = new ChunkCache( 1 );
+
+  cache.set( 'a-0', chunk( 'a', MB / 4 ) );
+  cache.set( 'a-1', chunk( 'a', MB / 4 ) );
+  cache.set( 'a-2', chunk( 'a', MB / 4 ) );
+  cache.set( 'a-3', chunk( 'a', MB / 4 ) );
+
+  // reading a-0 makes a-1 the oldest
+  cache.get('a-0');
+  cache.set( 'a-4', chunk( 'a', MB / 4 ) );
+
+  assert.deepEqual( [ ...cache.chunks.keys() ], [
+    'a-2', 'a-3', 'a-0', 'a-4'
+  ]);
+  assert.equal( cache.bytes, MB );
+});
+
+test( 'counts every decoded channel, and skips the rest', () => {
+  const cache = new ChunkCache( 1 );
+  const left  = chunk( 'a', 1024, 2 );
+
+  cache.set( 'a-0', chunk( 'a', 1024, 2 ) );
+  assert.equal( cache.bytes, 2048 );
+
+  // the same chunk read again with only one channel decoded
+  left.channels[ 1 ] = undefined;
+  cache.set( 'a-0', left );
+  assert.equal( cache.bytes, 1024 );
+});
+
+test( 'chunks bigger than the cache are not kept', () => {
+  const cache = new ChunkCache( 1 );
+
+  cache.set( 'a-0', chunk( 'a', 2 * MB ) );
+
+  assert.equal( cache.chunks.size, 0 );
+  assert.equal( cache.bytes, 0 );
+});
+
+test( 'a size of 0 keeps nothing', () => {
+  const cache = new ChunkCache();
+
+  cache.set( 'a-0', chunk( 'a', 4 ) );
+
+  assert.equal( cache.get('a-0'), undefined );
+});
+
+test( 'invalidating a track drops only its chunks', () => {
+  const cache = new ChunkCache( 1 );
+
+  cache.set( 'a-0', chunk( 'a', 1024 ) );
+  cache.set( 'b-0', chunk( 'b', 1024 ) );
+  cache.set( 'a-1', chunk( 'a', 1024 ) );
+  cache.invalidate('a');
+
+  assert.deepEqual( [ ...cache.chunks.keys() ], [ 'b-0' ] );
+  assert.equal( cache.bytes, 1024 );
+});
@@ -0,0 +1,185 @@
+// just enough of the Web Audio API (and the page) for `Streamer` and
+// `Recorder` to run in Node. nothing is actually played: sources record when
+// they were started, and tests end them with `finish`. oscillators and
+// worklets only run when a test calls `render`
+
+global.self ??= global;
+self.location ??= { href: 'http://localhost/' };
+
+// the AudioWorkletGlobalScope, so worklet modules can be imported as they
+// are. processors get the port handed to the next one constructed
+const processors = new Map();
+
+let nextPort = null;
+
+global.AudioWorkletProcessor = class {
+
+  constructor() {
+    this.port = nextPort;
+  }
+
+};
+
+global.registerProcessor = ( name, processor ) => {
+  processors.set( name, processor );
+};
+
+// one end of a MessageChannel. messages arrive on a later task, in order
+class FakePort {
+
+  constructor() {
+    this.other     = null;
+    this.onmessage = null;
+  }
+
+  postMessage( data ) {
+    setTimeout( () => this.other.onmessage?.({ data }) );
+  }
+
+}
+
+class FakeWorkletNode {
+
+  constructor( context, name, options ) {
+    const port = new FakePort();
+
+    this.context      = context;
+    this.channelCount = options.channelCount;
+    this.inputs       = [];
+    this.port         = new FakePort();
+
+    this.port.other = port;
+    port.other = this.port;
+
+    nextPort = port;
+    this.processor = new ( processors.get( name ) )( options );
+    nextPort = null;
+
+    context.worklets.push( this );
+  }
+
+  // run one render quantum, mixing the inputs to `channelCount` channels
+  process( frame ) {
+    const sources = this.inputs.map( node => node.render( frame ) );
+    const input   = sources.length ?
+      Array.from( { length: this.channelCount }, () => {
+        const f32 = new Float32Array( 128 );
+        sources.forEach( data => data.forEach( ( v, i ) => f32[ i ] += v ) );
+        return f32;
+      }) :
+      [];
+
+    return this.processor.process([ input ]);
+  }
+
+}
+
+global.AudioWorkletNode = FakeWorkletNode;
+
+class FakeBuffer {
+
+  constructor( channels, length, rate ) {
+    this.numberOfChannels = channels;
+    this.length           = length;
+    this.sampleRate       = rate;
+    this.duration         = length / rate;
+
+    this.data = Array.from( { length: channels }, () => {
+      return new Float32Array( length );
+    });
+  }
+
+  getChannelData( channel ) {
+    return this.data[ channel ];
+  }
+
+}
+
+export default class FakeContext {
+
+  constructor( sampleRate = 8000 ) {
+    this.sampleRate  = sampleRate;
+    this.currentTime = 0;
+    this.destination = {};
+    this.sources     = [];
+    this.worklets    = [];
+
+    // modules are imported by the test instead
+    this.audioWorklet = { addModule: async() => {} };
+  }
+
+  // a sine wave, starting at frame 0
+  createOscillator() {
+    const ac = this;
+
+    return {
+      context: ac,
+      frequency: { value: 440 },
+      connect( node ) {
+        node.inputs.push( this );
+      },
+      disconnect( node ) {
+        node.inputs = node.inputs.filter( input => input !== this );
+      },
+      render( frame ) {
+        const step = 2 * Math.PI * this.frequency.value / ac.sampleRate;
+        return Float32Array.from( { length: 128 }, ( v, i ) => {
+          return Math.sin( ( frame + i ) * step );
+        });
+      }
+    };
+  }
+
+  // run the worklets for at least `frames` frames, a render quantum at a
+  // time
+  render( frames ) {
+    const start = Math.round( this.currentTime * this.sampleRate );
+
+    for ( let frame = start; frame < start + frames; frame += 128 ) {
+      this.worklets = this.worklets.filter( node => node.process( frame ) );
+    }
+
+    this.currentTime += Math.ceil( frames / 128 ) * 128 / this.sampleRate;
+  }
+
+  createGain() {
+    return { gain: { value: 1 }, connect() {}, disconnect() {} };
+  }
+
+  createBuffer( channels, length, rate ) {
+    return new FakeBuffer( channels, length, rate );
+  }
+
+  createBufferSource() {
+    const src = {
+      buffer: null,
+      onended: null,
+      when: null,
+      connect() {},
+      disconnect() {},
+      start( when = 0 ) {
+        this.when = when;
+      }
+    };
+
+    this.sources.push( src );
+
+    return src;
+  }
+
+  // files are mono float32 samples, so tests can make them with `new
+  // Float32Array`
+  decodeAudioData( buffer, resolve ) {
+    const data = new Float32Array( buffer.slice( 0 ) );
+    const ab   = this.createBuffer( 1, data.length, this.sampleRate );
+
+    ab.getChannelData( 0 ).set( data );
+    resolve( ab );
+  }
+
+  // end a source, as if it had played out
+  finish( src ) {
+    src.onended?.();
+  }
+
+}
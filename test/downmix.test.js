@@ -0,0 +1,52 @@
+import assert   from 'node:assert/strict';
+import { test } from 'node:test';
+
+import downmix from '../lib/downmix.js';
+
+test( 'no map passes every channel through', () => {
+  const matrix = downmix.matrix( undefined, 3 );
+
+  assert.deepEqual( matrix, [ [ [ 0, 1 ] ], [ [ 1, 1 ] ], [ [ 2, 1 ] ] ] );
+  assert.equal( downmix.isIdentity( matrix ), true );
+});
+
+test( 'a channel map picks and repeats channels', () => {
+  const right = downmix.matrix( [ 1 ], 2 );
+  const left  = downmix.matrix( [ 0, 0 ], 2 );
+
+  assert.deepEqual( downmix.sources( right ), [ 1 ] );
+  assert.equal( downmix.isIdentity( right ), true );
+
+  assert.deepEqual( left, [ [ [ 0, 1 ] ], [ [ 0, 1 ] ] ] );
+  assert.deepEqual( downmix.sources( left ), [ 0 ] );
+  assert.equal( downmix.isIdentity( left ), false );
+});
+
+test( 'a swapped map is not an identity', () => {
+  assert.equal( downmix.isIdentity( downmix.matrix( [ 1, 0 ], 2 ) ), false );
+});
+
+test( '5.1 folds down without the LFE', () => {
+  const stereo = downmix.matrix( 'stereo', 6 );
+  const mono   = downmix.matrix( 'mono', 6 );
+
+  assert.deepEqual( downmix.sources( stereo ), [ 0, 1, 2, 4, 5 ] );
+  assert.deepEqual( downmix.sources( mono ), [ 0, 1, 2, 4, 5 ] );
+  assert.equal( stereo.length, 2 );
+  assert.equal( mono.length, 1 );
+});
+
+test( 'odd layouts average to mono', () => {
+  const [ row ] = downmix.matrix( 'mono', 3 );
+
+  assert.deepEqual( row, [ [ 0, 1 / 3 ], [ 1, 1 / 3 ], [ 2, 1 / 3 ] ] );
+});
+
+test( 'unknown modes and layouts are errors', () => {
+  assert.throws( () => downmix.matrix( 'quad', 2 ), {
+    message: 'unknown downmix mode quad'
+  });
+  assert.throws( () => downmix.matrix( 'stereo', 3 ), {
+    message: 'can\'t downmix 3 channels to stereo'
+  });
+});
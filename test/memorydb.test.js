@@ -0,0 +1,49 @@
+import assert   from 'node:assert/strict';
+import { test } from 'node:test';
+
+import MemoryDB from '../lib/memorydb.js';
+
+console.info = () => {};
+
+async function setup() {
+  const db  = new MemoryDB();
+  const ids = [ 'b-2', 'a-0', 'b-0', 'c-0', 'b-1' ];
+
+  await db.init();
+  await db.saveRecords( 'chunks', ids.map( id => ({ id, name: id[ 0 ] }) ) );
+
+  return db;
+}
+
+test( 'a range includes both ends, in key order', async() => {
+  const db      = await setup();
+  const records = await db.getRecordRange( 'chunks', 'b-0', 'b-2' );
+
+  assert.deepEqual( records.map( ({ id }) => id ), [ 'b-0', 'b-1', 'b-2' ] );
+});
+
+test( 'a range can cover every key with a prefix', async() => {
+  const db      = await setup();
+  const records = await db.getRecordRange( 'chunks', 'b-', 'b-\uffff' );
+
+  assert.deepEqual( records.map( ({ id }) => id ), [ 'b-0', 'b-1', 'b-2' ] );
+});
+
+test( 'an empty range finds nothing', async() => {
+  const db = await setup();
+
+  assert.deepEqual( await db.getRecordRange( 'chunks', 'd', 'z' ), [] );
+  assert.deepEqual( await db.getRecordRange( 'chunks', 'c-1', 'a' ), [] );
+});
+
+test( 'ranged records are copies', async() => {
+  const db = await setup();
+
+  const [ record ] = await db.getRecordRange( 'chunks', 'a-0', 'a-0' );
+
+  record.name = 'changed';
+
+  const [ stored ] = await db.getRecords( 'chunks', [ 'a-0' ] );
+
+  assert.equal( stored.name, 'a' );
+});
@@ -0,0 +1,182 @@
+import assert   from 'node:assert/strict';
+import { test } from 'node:test';
+
+import PCMReader  from '../lib/pcmreader.js';
+import wavencoder from '../lib/wavencoder.js';
+
+const RATE = 8000;
+
+// a stereo ramp from -1 to 1, with the right channel reversed
+function ramp( length ) {
+  const left = Float32Array.from( { length }, ( v, i ) => {
+    return i / ( length - 1 ) * 2 - 1;
+  });
+
+  return [ left, left.slice().reverse() ];
+}
+
+function concat( ...parts ) {
+  const out = new Uint8Array( parts.reduce( ( a, b ) => a + b.length, 0 ) );
+
+  parts.reduce( ( offset, part ) => {
+    out.set( part, offset );
+    return offset + part.length;
+  }, 0 );
+
+  return out;
+}
+
+function wav( channels, bitDepth ) {
+  const length = channels[ 0 ].length;
+  const format = { rate: RATE, channels: channels.length, bitDepth, length };
+
+  return concat(
+    wavencoder.header( format ),
+    wavencoder.interleave( channels, bitDepth )
+  );
+}
+
+// 8-bit WAV samples are unsigned, which `wavencoder` doesn't write
+function wav8( channels ) {
+  const length = channels[ 0 ].length;
+  const format = { rate: RATE, channels: channels.length, bitDepth: 8, length };
+  const data   = new Uint8Array( length * channels.length );
+
+  for ( let i = 0; i < data.length; ++i ) {
+    const frame  = Math.floor( i / channels.length );
+    const sample = channels[ i % channels.length ][ frame ];
+    const byte   = Math.round( sample * 128 ) + 128;
+
+    data[ i ] = Math.max( 0, Math.min( 255, byte ) );
+  }
+
+  return concat( wavencoder.header( format ), data );
+}
+
+// 16-bit big-endian AIFF
+function aiff( channels ) {
+  const length = channels[ 0 ].length;
+  const size   = length * channels.length * 2;
+  const bytes  = new Uint8Array( 54 + size );
+  const view   = new DataView( bytes.buffer );
+
+  const write = ( offset, str ) => {
+    [ ...str ].forEach( ( c, i ) => bytes[ offset + i ] = c.charCodeAt( 0 ) );
+  };
+
+  write( 0, 'FORM' );
+  view.setUint32( 4, 46 + size );
+  write( 8, 'AIFF' );
+  write( 12, 'COMM' );
+  view.setUint32( 16, 18 );
+  view.setUint16( 20, channels.length );
+  view.setUint32( 22, length );
+  view.setUint16( 26, 16 );
+  // 8000 as an 80-bit extended float: 1.953125 * 2^12
+  view.setUint16( 28, 16383 + 12 );
+  view.setUint32( 30, RATE * Math.pow( 2, 19 ) );
+  write( 38, 'SSND' );
+  view.setUint32( 42, 8 + size );
+
+  for ( let i = 0; i < size / 2; ++i ) {
+    const frame  = Math.floor( i / channels.length );
+    const sample = channels[ i % channels.length ][ frame ];
+    const int16  = Math.round( sample * 32768 );
+
+    view.setInt16( 54 + i * 2, Math.max( -32768, Math.min( 32767, int16 ) ) );
+  }
+
+  return bytes;
+}
+
+// read a whole file, in small blocks to cross block boundaries
+async function read( bytes ) {
+  const reader = new PCMReader( bytes );
+  const blocks = [];
+
+  for await ( const block of reader.blocks( 100 ) ) {
+    blocks.push( block );
+  }
+
+  const channels = blocks[ 0 ].map( ( f32, c ) => {
+    const length = blocks.reduce( ( a, b ) => a + b[ c ].length, 0 );
+    const out    = new Float32Array( length );
+
+    blocks.reduce( ( offset, block ) => {
+      out.set( block[ c ], offset );
+      return offset + block[ c ].length;
+    }, 0 );
+
+    return out;
+  });
+
+  return { format: reader.format, channels };
+}
+
+function assertClose( actual, expected, tolerance ) {
+  assert.equal( actual.length, expected.length );
+
+  actual.forEach( ( f32, c ) => {
+    assert.equal( f32.length, expected[ c ].length );
+    f32.forEach( ( v, i ) => {
+      assert.ok( Math.abs( v - expected[ c ][ i ] ) <= tolerance );
+    });
+  });
+}
+
+for ( const bitDepth of [ 16, 24, 32 ] ) {
+  test( `reads ${ bitDepth }-bit WAV`, async() => {
+    const samples = ramp( 1000 );
+
+    const { format, channels } = await read( wav( samples, bitDepth ) );
+
+    assert.equal( format.rate, RATE );
+    assert.equal( format.channels, 2 );
+    assert.equal( format.bitDepth, bitDepth );
+    assert.equal( format.float, bitDepth === 32 );
+    assert.equal( format.length, 1000 );
+    assertClose( channels, samples, Math.pow( 2, 1 - bitDepth ) * 2 );
+  });
+}
+
+test( 'reads 8-bit WAV', async() => {
+  const samples = ramp( 1000 );
+
+  const { format, channels } = await read( wav8( samples ) );
+
+  assert.equal( format.bitDepth, 8 );
+  assert.equal( format.unsigned, true );
+  assert.equal( format.length, 1000 );
+  assertClose( channels, samples, 1 / 128 );
+});
+
+test( 'reads big-endian AIFF', async() => {
+  const samples = ramp( 1000 );
+
+  const { format, channels } = await read( aiff( samples ) );
+
+  assert.equal( format.rate, RATE );
+  assert.equal( format.bitDepth, 16 );
+  assert.equal( format.littleEndian, false );
+  assert.equal( format.length, 1000 );
+  assertClose( channels, samples, 1 / 32768 );
+});
+
+test( 'a WAV that stops short of its header is an error', async() => {
+  const bytes = wav( ramp( 1000 ), 16 );
+
+  await assert.rejects( read( bytes.subarray( 0, 44 + 2000 ) ), {
+    message: 'unexpected end of file'
+  });
+});
+
+test( 'a WAV of unknown length reads to the end', async() => {
+  const bytes = wav( ramp( 1000 ), 16 );
+
+  new DataView( bytes.buffer ).setUint32( 40, 0xffffffff, true );
+
+  const { format, channels } = await read( bytes.subarray( 0, 44 + 2002 ) );
+
+  assert.equal( format.length, null );
+  assert.equal( channels[ 0 ].length, 500 );
+});
@@ -0,0 +1,93 @@
+import assert   from 'node:assert/strict';
+import { test } from 'node:test';
+
+import FakeContext from './context.js';
+
+import '../lib/recorderworklet.js';
+
+import AudioStore from '../lib/audiostore.js';
+import MemoryDB   from '../lib/memorydb.js';
+import Recorder   from '../lib/recorder.js';
+
+console.info = () => {};
+
+const RATE = 8000;
+
+async function setup() {
+  const ac    = new FakeContext( RATE );
+  const db    = new MemoryDB();
+  const store = new AudioStore( ac, { db, duration: 1 } );
+
+  await store.init();
+
+  return { ac, db, store, osc: ac.createOscillator() };
+}
+
+test( 'records an oscillator into a track', async() => {
+  const { ac, store, osc } = await setup();
+
+  const recorder = new Recorder( store, 'take', osc, { channels: 1 } );
+  const frames   = 128 * 160;
+
+  await recorder.start();
+  ac.render( frames );
+
+  const metadata = await recorder.stop();
+  const [ take ] = await store.getSamples( 'take', 0, frames );
+
+  assert.equal( metadata.duration, frames / RATE );
+  assert.equal( metadata.chunks, 3 );
+
+  take.forEach( ( v, i ) => {
+    const expected = Math.sin( i * 2 * Math.PI * 440 / RATE );
+    assert.ok( Math.abs( v - expected ) < 1e-6 );
+  });
+});
+
+test( 'mono input is recorded on every channel', async() => {
+  const { ac, store, osc } = await setup();
+
+  const recorder = new Recorder( store, 'take', osc );
+
+  await recorder.start();
+  ac.render( RATE );
+  await recorder.stop();
+
+  const [ left, right ] = await store.getSamples( 'take', 0, RATE );
+
+  assert.equal( ( await store.getMetadata('take') ).channels, 2 );
+  assert.deepEqual( left, right );
+});
+
+test( 'a take that storage cannot keep up with fails', async() => {
+  const { ac, db, store, osc } = await setup();
+
+  const recorder    = new Recorder( store, 'take', osc, {
+    channels: 1,
+    maxLag: 2
+  });
+  const saveRecords = db.saveRecords;
+
+  let release;
+
+  const slow = new Promise( resolve => release = resolve );
+
+  db.saveRecords = async( ...args ) => {
+    await slow;
+    return saveRecords.apply( db, args );
+  };
+
+  await recorder.start();
+  ac.render( RATE * 4 );
+
+  const stopped = assert.rejects( recorder.stop(), /fell more than 2s/ );
+
+  // let the worklet's blocks arrive before storage catches up
+  await new Promise( resolve => setTimeout( resolve, 10 ) );
+  release();
+
+  await stopped;
+  assert.deepEqual( recorder.queue, [] );
+  assert.ok( !await store.getMetadata('take') );
+  assert.deepEqual( await db.getAllRecords('chunks'), [] );
+});
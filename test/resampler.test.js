@@ -0,0 +1,111 @@
+import assert   from 'node:assert/strict';
+import { test } from 'node:test';
+
+import resampler from '../lib/resampler.js';
+
+// `length` samples of a sine at `freq` Hz, sampled at `rate`
+function sine( freq, rate, length ) {
+  return Float32Array.from( { length }, ( v, i ) => {
+    return Math.sin( 2 * Math.PI * freq * i / rate );
+  });
+}
+
+// largest difference, leaving out `edge` samples at each end
+function error( a, b, edge ) {
+  let max = 0;
+
+  for ( let i = edge; i < a.length - edge; ++i ) {
+    max = Math.max( max, Math.abs( a[ i ] - b[ i ] ) );
+  }
+
+  return max;
+}
+
+const RATES = [ [ 8000, 16000 ], [ 16000, 8000 ], [ 44100, 48000 ] ];
+
+for ( const [ from, to ] of RATES ) {
+  test( `converts a sine from ${ from } to ${ to }`, () => {
+    const input  = sine( 440, from, from );
+    const output = resampler.resample( input, {
+      from,
+      to,
+      offset: 0,
+      first: 0,
+      length: to
+    });
+
+    assert.ok( error( output, sine( 440, to, to ), 100 ) < 1e-3 );
+  });
+}
+
+test( 'fast quality is close to best, with a smaller kernel', () => {
+  const input = sine( 440, 8000, 8000 );
+  const opts  = { from: 8000, to: 16000, offset: 0, first: 0, length: 16000 };
+
+  const best = resampler.resample( input, opts );
+  const fast = resampler.resample( input, { ...opts, quality: 'fast' } );
+
+  assert.ok( error( fast, best, 100 ) < 1e-2 );
+  assert.notDeepEqual( fast, best );
+  assert.ok(
+    resampler.padding( 8000, 16000, 'fast' ) <
+    resampler.padding( 8000, 16000 )
+  );
+});
+
+test( 'an unknown quality is an error', () => {
+  assert.throws( () => resampler.padding( 8000, 16000, 'good' ), {
+    message: 'unknown resampling quality good'
+  });
+});
+
+test( 'windows of a signal join up with no seams', () => {
+  const input = Float32Array.from( { length: 8000 }, Math.random );
+  const opts  = { from: 8000, to: 11025, offset: 0, first: 0 };
+  const whole = resampler.resample( input, { ...opts, length: 11025 } );
+  const pad   = resampler.padding( 8000, 11025 );
+
+  // convert it in odd-sized windows, reading only what each one needs
+  for ( let first = 0; first < 11025; first += 1000 ) {
+    const length = Math.min( 1000, 11025 - first );
+    const offset = Math.max( 0, Math.floor( first * 8000 / 11025 ) - pad );
+    const end    = Math.ceil( ( first + length ) * 8000 / 11025 ) + pad;
+    const window = resampler.resample( input.slice( offset, end ), {
+      ...opts,
+      offset,
+      first,
+      length
+    });
+
+    assert.deepEqual( window, whole.subarray( first, first + length ) );
+  }
+});
+
+test( 'a stream of uneven blocks matches converting it in one go', async() => {
+  const input = Float32Array.from( { length: 8000 }, Math.random );
+  const whole = resampler.resample( input, {
+    from: 8000,
+    to: 12000,
+    offset: 0,
+    first: 0,
+    length: 12000
+  });
+
+  const blocks = [];
+
+  for ( let i = 0, size = 1; i < input.length; i += size, size *= 3 ) {
+    blocks.push([ input.slice( i, i + size ) ]);
+  }
+
+  const parts = [];
+
+  for await ( const [ part ] of resampler.stream( blocks, {
+    from: 8000,
+    to: 12000,
+    channels: 1
+  }) ) {
+    parts.push( ...part );
+  }
+
+  assert.deepEqual( Float32Array.from( parts ), whole );
+});
@@ -0,0 +1,63 @@
+import assert   from 'node:assert/strict';
+import { test } from 'node:test';
+
+import AudioStore from '../lib/audiostore.js';
+import MemoryDB   from '../lib/memorydb.js';
+import codecs     from '../lib/codecs.js';
+import serializer from '../lib/serializer.js';
+
+console.info = () => {};
+
+// noise covers every 16-bit word, lone surrogates included
+function noise( length ) {
+  return Float32Array.from( { length }, () => Math.random() * 2 - 1 );
+}
+
+// int16 is lossy, the others are bit-exact
+function assertClose( actual, expected, codec ) {
+  const tolerance = codec === 'int16' ? 1 / 32767 : 0;
+
+  assert.equal( actual.length, expected.length );
+
+  for ( let i = 0; i < expected.length; ++i ) {
+    const error = Math.abs( actual[ i ] - expected[ i ] );
+
+    if ( error > tolerance ) {
+      assert.fail( `sample ${ i } is off by ${ error }` );
+    }
+  }
+}
+
+for ( const codec of Object.keys( codecs ) ) {
+  for ( const blobs of [ true, false ] ) {
+    const mode = blobs ? 'blob' : 'string';
+
+    test( `${ codec } survives ${ mode } storage`, async() => {
+      const input = [ noise( 44101 ), noise( 44101 ) ];
+
+      const { channels, checksums } = await serializer.encode(
+        input, codec, blobs
+      );
+
+      assert.equal( typeof channels[ 0 ], blobs ? 'object' : 'string' );
+
+      const output = await serializer.decode( channels, codec, checksums );
+
+      output.forEach( ( f32, i ) => assertClose( f32, input[ i ], codec ) );
+    });
+
+    test( `${ codec } tracks read back from ${ mode } storage`, async() => {
+      const db    = new MemoryDB();
+      const store = await new AudioStore( null, { db, codec, blobs } ).init();
+      const input = [ noise( 30000 ) ];
+
+      await store.ingest( 'noise', [ input ], { rate: 8000, channels: 1 } );
+
+      const [ output ] = await store.getSamples( 'noise', 0, 30000 );
+      const report     = await store.verifyTrack('noise');
+
+      assertClose( output, input[ 0 ], codec );
+      assert.deepEqual( report.corrupt, [] );
+    });
+  }
+}
@@ -0,0 +1,103 @@
+// a stand-in for the server `Streamer` fetches from. `listen` puts its
+// `fetch` in place of the real one. files get a new ETag and Last-Modified
+// every time they're `put`, and conditional requests for a file that
+// hasn't changed get a 304
+
+export default class Server {
+
+  constructor() {
+    this.files    = new Map();
+    this.requests = [];
+    this.version  = 0;
+
+    // status to fail the next `failures` requests with
+    this.failures = 0;
+    this.status   = 503;
+
+    this.fetch = ( url, opts ) => this.#respond( url, opts );
+  }
+
+  // resolve a url the same way `Streamer` does
+  #href( url ) {
+    return new URL( url, self.location.href ).href;
+  }
+
+  // serve `body` (any typed array) at `url`. with `broken` set, the
+  // response errors half way through
+  put( url, body, { broken = false } = {} ) {
+    const version = ++this.version;
+
+    this.files.set( this.#href( url ), {
+      body,
+      broken,
+      etag: `"v${ version }"`,
+      lastModified: new Date( Date.UTC( 2024, 0, version ) ).toUTCString()
+    });
+
+    return this;
+  }
+
+  // fail the next `count` requests
+  fail( count = Infinity, status = 503 ) {
+    this.failures = count;
+    this.status = status;
+
+    return this;
+  }
+
+  listen() {
+    global.fetch = this.fetch;
+
+    return this;
+  }
+
+  async #respond( url, { headers = {} } = {} ) {
+    const file = this.files.get( this.#href( url ) );
+
+    this.requests.push({ url, headers });
+
+    if ( this.failures > 0 ) {
+      this.failures--;
+      return new Response( '', { status: this.status } );
+    }
+
+    if ( !file ) {
+      return new Response( '', { status: 404 } );
+    }
+
+    const since   = headers['If-Modified-Since'];
+    const matches = headers['If-None-Match'] ?
+      headers['If-None-Match'] === file.etag :
+      since && Date.parse( since ) >= Date.parse( file.lastModified );
+
+    const validators = {
+      'etag': file.etag,
+      'last-modified': file.lastModified
+    };
+
+    if ( matches ) {
+      return new Response( null, { status: 304, headers: validators } );
+    }
+
+    const { buffer, byteOffset, byteLength } = file.body;
+
+    const bytes = new Uint8Array( buffer, byteOffset, byteLength );
+    const half  = bytes.subarray( 0, bytes.length >> 1 );
+
+    const body = file.broken ?
+      new ReadableStream({
+        start( controller ) {
+          controller.enqueue( half );
+        },
+        pull( controller ) {
+          controller.error( new TypeError('connection reset') );
+        }
+      }) :
+      bytes;
+
+    return new Response( body, {
+      headers: { ...validators, 'content-length': String( bytes.length ) }
+    });
+  }
+
+}
@@ -0,0 +1,272 @@
+import assert   from 'node:assert/strict';
+import { test } from 'node:test';
+
+import FakeContext       from './context.js';
+import Server            from './server.js';
+import AudioStore        from '../lib/audiostore.js';
+import MemoryDB          from '../lib/memorydb.js';
+import StreamCoordinator from '../lib/streamcoordinator.js';
+import wavencoder        from '../lib/wavencoder.js';
+
+console.info = () => {};
+
+const RATE = 8000;
+
+function noise( length ) {
+  return Float32Array.from( { length }, () => Math.random() * 2 - 1 );
+}
+
+// a mono 32-bit float WAV file
+function wav( data ) {
+  const format = { rate: RATE, channels: 1, bitDepth: 32, length: data.length };
+  const header = wavencoder.header( format );
+  const file   = new Uint8Array( header.length + data.length * 4 );
+
+  file.set( header );
+  file.set( wavencoder.interleave( [ data ], 32 ), header.length );
+
+  return file;
+}
+
+async function setup() {
+  const ac     = new FakeContext( RATE );
+  const store  = new AudioStore( ac, { db: new MemoryDB() } );
+  const server = new Server().listen();
+
+  await store.init();
+
+  return { ac, store, server };
+}
+
+test( 'a partial load plays what it can and lists what failed', async() => {
+  const { store, server } = await setup();
+  const urls = [ 'a.wav', 'b.wav' ];
+
+  server.put( 'a.wav', wav( noise( RATE ) ) );
+
+  const strict = new StreamCoordinator( urls, store );
+
+  await assert.rejects( strict.load(), { name: 'FetchError', status: 404 } );
+
+  const sc     = new StreamCoordinator( urls, store );
+  const events = [];
+
+  sc.addEventListener( 'loaded', ev => events.push( ev.detail ) );
+
+  const summary = await sc.load({ partial: true });
+
+  assert.deepEqual( summary.loaded, [ 'a.wav' ] );
+  assert.equal( summary.failed.length, 1 );
+  assert.equal( summary.failed[ 0 ].url, 'b.wav' );
+  assert.equal( summary.failed[ 0 ].error.status, 404 );
+  assert.deepEqual( sc.failed, summary.failed );
+  assert.deepEqual( events, [ summary ] );
+  assert.equal( sc.ready, true );
+});
+
+test( 'retryFailed loads the tracks that failed before', async() => {
+  const { store, server } = await setup();
+  const sc = new StreamCoordinator( [ 'a.wav', 'b.wav' ], store );
+
+  server.put( 'a.wav', wav( noise( RATE ) ) );
+  await sc.load({ partial: true });
+
+  // still missing
+  assert.equal( ( await sc.retryFailed() ).failed.length, 1 );
+
+  server.put( 'b.wav', wav( noise( RATE * 2 ) ) );
+
+  const summary = await sc.retryFailed();
+
+  assert.deepEqual( summary, { loaded: [ 'a.wav', 'b.wav' ], failed: [] } );
+  assert.equal( sc.failures.size, 0 );
+  assert.equal( sc.streamers[ 1 ].duration, 2 );
+
+  // nothing left to retry, so nothing is fetched
+  const requests = server.requests.length;
+
+  await sc.retryFailed();
+  assert.equal( server.requests.length, requests );
+});
+
+test( 'a track recovered while playing joins in', async() => {
+  const { store, server } = await setup();
+  const sc = new StreamCoordinator( [ 'a.wav', 'b.wav' ], store );
+
+  server.put( 'a.wav', wav( noise( RATE * 2 ) ) );
+  await sc.load({ partial: true });
+
+  const scheduled = url => new Promise( resolve => {
+    const listener = ev => {
+      if ( ev.detail.url === url ) {
+        sc.removeEventListener( 'chunkscheduled', listener );
+        resolve();
+      }
+    };
+
+    sc.addEventListener( 'chunkscheduled', listener );
+  });
+
+  sc.stream( 0 );
+  await scheduled('a.wav');
+
+  server.put( 'b.wav', wav( noise( RATE * 2 ) ) );
+
+  const joined = scheduled('b.wav');
+
+  await sc.retryFailed();
+  await joined;
+
+  assert.equal( sc.stopped, false );
+  assert.ok( sc.streamers.every( streamer => !streamer.stopped ) );
+
+  // both restarted from the same place, in sync
+  const [ a, b ] = sc.streamers;
+
+  assert.equal( a.startTime, b.startTime );
+  assert.equal( a.startOffset, b.startOffset );
+});
+
+test( 'a partial load with nothing loaded is an error', async() => {
+  const { store } = await setup();
+  const sc = new StreamCoordinator( [ 'a.wav', 'b.wav' ], store );
+
+  await assert.rejects( sc.load({ partial: true }), {
+    message: 'none of the tracks could be loaded'
+  });
+  assert.equal( sc.failed.length, 2 );
+  assert.equal( sc.ready, false );
+});
+
+test( 'a replay is not ended by the last session\'s sources', async() => {
+  const ac    = new FakeContext( RATE );
+  const store = new AudioStore( ac, { db: new MemoryDB() } );
+  const names = [ 'take1', 'take2' ];
+
+  await store.init();
+
+  for ( const name of names ) {
+    await store.ingest( name, [ [ noise( RATE * 2 ) ] ], {
+      rate: RATE,
+      channels: 1
+    });
+  }
+
+  const sc    = new StreamCoordinator( names, store, { stored: true } );
+  const ended = [];
+
+  await sc.load();
+
+  sc.addEventListener( 'ended', () => ended.push( sc.stopped ) );
+
+  // wait for a chunk from each track
+  const scheduled = () => new Promise( resolve => {
+    const urls = new Set();
+
+    const listener = ev => {
+      urls.add( ev.detail.url );
+
+      if ( urls.size === names.length ) {
+        sc.removeEventListener( 'chunkscheduled', listener );
+        resolve();
+      }
+    };
+
+    sc.addEventListener( 'chunkscheduled', listener );
+  });
+
+  sc.stream( 1.5 );
+  await scheduled();
+
+  // the sources that end each track
+  const last = () => ac.sources.filter( src => src.onended );
+  const old  = last();
+
+  assert.equal( old.length, names.length );
+
+  sc.stop();
+  sc.stream( 0 );
+
+  // the old sources play out while the tracks are priming, and after
+  old.forEach( src => ac.finish( src ) );
+  await scheduled();
+  old.forEach( src => ac.finish( src ) );
+
+  assert.deepEqual( ended, [] );
+  assert.equal( sc.stopped, false );
+
+  last().forEach( src => ac.finish( src ) );
+
+  assert.deepEqual( ended, [ true ] );
+});
+
+test( 'changing the loop while playing keeps the tracks locked', async() => {
+  const { ac, store } = await setup();
+  const names = [ 'take1', 'take2' ];
+
+  await store.ingest( 'take1', [ [ noise( RATE ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+  await store.ingest( 'take2', [ [ noise( RATE * 2 ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+
+  const sc = new StreamCoordinator( names, store, { stored: true } );
+
+  await sc.load();
+
+  // the first `count` chunks scheduled for each track
+  const scheduled = count => new Promise( resolve => {
+    const chunks = new Map( names.map( name => [ name, [] ] ) );
+
+    const listener = ev => {
+      const { url, offset, when } = ev.detail;
+      const list = chunks.get( url );
+
+      if ( list.length < count ) {
+        list.push({ offset, when });
+      }
+
+      if ( [ ...chunks.values() ].every( l => l.length === count ) ) {
+        sc.removeEventListener( 'chunkscheduled', listener );
+        resolve([ ...chunks.values() ]);
+      }
+    };
+
+    sc.addEventListener( 'chunkscheduled', listener );
+  });
+
+  assert.throws( () => sc.setLoop( 1, 0.5 ), {
+    message: 'invalid loop 1s-0.5s'
+  });
+
+  ac.currentTime = 1;
+  sc.stream( 0 );
+  await scheduled( 1 );
+
+  // the loop runs on past the end of the shorter track
+  ac.currentTime = 1.75;
+
+  const looped = scheduled( 2 );
+
+  sc.setLoop( 0.5, 1.5 );
+
+  const [ short, long ] = await looped;
+  const start = short[ 0 ].when;
+
+  ac.currentTime = start + 1;
+
+  const position = sc.currentTime();
+
+  sc.stop();
+
+  assert.deepEqual( short, long );
+  assert.deepEqual( short, [
+    { offset: 0.75, when: start },
+    { offset: 0.5, when: start + 0.75 }
+  ]);
+  assert.equal( position, 0.75 );
+  assert.equal( sc.startOffset, 0.75 );
+});
@@ -0,0 +1,374 @@
+import assert   from 'node:assert/strict';
+import { once } from 'node:events';
+import { test } from 'node:test';
+
+import FakeContext from './context.js';
+import Server      from './server.js';
+import AudioStore  from '../lib/audiostore.js';
+import MemoryDB    from '../lib/memorydb.js';
+import Streamer    from '../lib/streamer.js';
+import wavencoder  from '../lib/wavencoder.js';
+
+console.info = () => {};
+
+const RATE = 8000;
+
+function noise( length ) {
+  return Float32Array.from( { length }, () => Math.random() * 2 - 1 );
+}
+
+// a mono 32-bit float WAV file
+function wav( data ) {
+  const format = { rate: RATE, channels: 1, bitDepth: 32, length: data.length };
+  const header = wavencoder.header( format );
+  const file   = new Uint8Array( header.length + data.length * 4 );
+
+  file.set( header );
+  file.set( wavencoder.interleave( [ data ], 32 ), header.length );
+
+  return file;
+}
+
+async function setup() {
+  const ac     = new FakeContext( RATE );
+  const store  = new AudioStore( ac, { db: new MemoryDB() } );
+  const server = new Server().listen();
+
+  await store.init();
+
+  return { ac, store, server };
+}
+
+// load, and resolve with whether the file was fetched
+async function load( streamer, opts ) {
+  let fetched = null;
+
+  streamer.addEventListener( 'loaded', ev => {
+    fetched = ev.detail.fetched;
+  }, { once: true } );
+
+  await streamer.load( opts );
+
+  return fetched;
+}
+
+async function stored( store, streamer ) {
+  const [ data ] = await store.getSamples( streamer.name, 0, RATE );
+  return data;
+}
+
+test( 'load( true ) fetches a stored track again', async() => {
+  const { store, server } = await setup();
+  const streamer = new Streamer( 'a.mp3', store, { revalidate: false } );
+
+  server.put( 'a.mp3', noise( RATE ) );
+
+  assert.equal( await load( streamer ), true );
+  assert.equal( await load( streamer ), false );
+  assert.equal( await load( streamer, true ), true );
+  assert.equal( server.requests.length, 2 );
+});
+
+test( 'load rejects options it does not understand', async() => {
+  const { store } = await setup();
+  const streamer  = new Streamer( 'a.mp3', store );
+
+  await assert.rejects( streamer.load('force') );
+});
+
+test( 'retries do not pile up abort listeners', async() => {
+  const { store, server } = await setup();
+  const streamer   = new Streamer( 'a.mp3', store, { retryDelay: 1 } );
+  const { signal } = new AbortController();
+
+  let listeners = 0;
+
+  const add    = signal.addEventListener.bind( signal );
+  const remove = signal.removeEventListener.bind( signal );
+
+  signal.addEventListener = ( ...args ) => {
+    listeners++;
+    add( ...args );
+  };
+
+  signal.removeEventListener = ( ...args ) => {
+    listeners--;
+    remove( ...args );
+  };
+
+  server.put( 'a.mp3', noise( RATE ) ).fail( 2 );
+
+  await streamer.load({ signal });
+
+  assert.equal( server.requests.length, 3 );
+  assert.equal( listeners, 0 );
+});
+
+test( 'an unchanged file is revalidated, not fetched', async() => {
+  const { store, server } = await setup();
+  const streamer = new Streamer( 'a.mp3', store );
+
+  server.put( 'a.mp3', noise( RATE ) );
+
+  assert.equal( await load( streamer ), true );
+  assert.equal( await load( streamer ), false );
+
+  const [ , { headers } ] = server.requests;
+
+  assert.equal( headers['If-None-Match'], '"v1"' );
+  assert.ok( headers['If-Modified-Since'] );
+});
+
+test( 'a changed file is fetched again', async() => {
+  const { store, server } = await setup();
+  const streamer = new Streamer( 'a.mp3', store );
+  const changed  = noise( RATE );
+
+  server.put( 'a.mp3', noise( RATE ) );
+  await load( streamer );
+
+  server.put( 'a.mp3', changed );
+
+  assert.equal( await load( streamer ), true );
+  assert.deepEqual( await stored( store, streamer ), changed );
+  assert.equal( ( await store.getMetadata( streamer.name ) ).source.etag,
+    '"v2"' );
+});
+
+test( 'the stored copy is used when the server is down', async() => {
+  const { store, server } = await setup();
+  const streamer = new Streamer( 'a.mp3', store, { retries: 0 } );
+  const original = noise( RATE );
+
+  server.put( 'a.mp3', original );
+  await load( streamer );
+
+  server.fail();
+
+  assert.equal( await load( streamer ), false );
+  assert.deepEqual( await stored( store, streamer ), original );
+});
+
+test( 'a failed download keeps the stored copy', async() => {
+  const { store, server } = await setup();
+  const streamer = new Streamer( 'a.wav', store, { retries: 0 } );
+  const original = noise( RATE );
+
+  // WAV files are streamed straight into the store as they download
+  server.put( 'a.wav', wav( original ) );
+  await load( streamer );
+
+  server.put( 'a.wav', wav( noise( RATE ) ), { broken: true } );
+
+  assert.equal( await load( streamer ), false );
+  assert.deepEqual( await stored( store, streamer ), original );
+
+  const { ok } = await store.verifyTrack( streamer.name );
+  assert.equal( ok, true );
+});
+
+test( 'stored tracks are played by name, without fetching', async() => {
+  const { store, server } = await setup();
+  const streamer = new Streamer( 'take1', store, { stored: true } );
+
+  await store.ingest( 'take1', [ [ noise( RATE * 2 ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+
+  assert.equal( await load( streamer ), false );
+  assert.equal( streamer.duration, 2 );
+
+  const missing = new Streamer( 'take2', store, { stored: true } );
+
+  await assert.rejects( missing.load() );
+  assert.equal( server.requests.length, 0 );
+});
+
+test( 'copies stored by file name are replaced', async() => {
+  const { store, server } = await setup();
+  const legacy = new Streamer( 'audio/a.mp3', store );
+  const drums  = new Streamer( 'audio/drums.mp3', store );
+
+  // as older releases stored it: no codec, chunk duration or size
+  await store.db.saveRecords( 'metadata', [
+    { name: 'a', channels: 1, rate: RATE, duration: 1, chunks: 0 }
+  ]);
+
+  // and a take the app saved under a name that happens to match a file
+  await store.ingest( 'drums', [ [ noise( RATE ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+
+  server.put( 'audio/a.mp3', noise( RATE ) );
+  server.put( 'audio/drums.mp3', noise( RATE ) );
+
+  await load( legacy );
+  await load( drums );
+
+  const names = ( await store.listTracks() ).map( ({ name }) => name );
+
+  assert.deepEqual( names.sort(), [ legacy.name, drums.name, 'drums' ].sort() );
+});
+
+test( 'fetching a new version deletes the old one', async() => {
+  const { store, server } = await setup();
+  const first  = new Streamer( 'a.mp3', store, { version: '1' } );
+  const second = new Streamer( 'a.mp3', store, { version: '2' } );
+  const other  = new Streamer( 'b.mp3', store, { version: '1' } );
+
+  server.put( 'a.mp3', noise( RATE ) ).put( 'b.mp3', noise( RATE ) );
+
+  await load( first );
+  await load( other );
+  await load( second );
+
+  const names = ( await store.listTracks() ).map( ({ name }) => name );
+
+  assert.deepEqual( names.sort(), [ second.name, other.name ].sort() );
+});
+
+test( 'pausing near the end is not the end of the track', async() => {
+  const { ac, store } = await setup();
+  const streamer = new Streamer( 'take1', store, { stored: true } );
+  const ended    = [];
+
+  await store.ingest( 'take1', [ [ noise( RATE * 2 ) ] ], {
+    rate: RATE,
+    channels: 1
+  });
+  await streamer.load();
+
+  streamer.addEventListener( 'ended', () => ended.push( streamer.stopped ) );
+
+  streamer.stream( 1.5 );
+  await once( streamer, 'chunkscheduled' );
+
+  const last = ac.sources.at( -1 );
+
+  // the source plays out after the pause, and again after starting over
+  streamer.stop();
+  ac.finish( last );
+
+  streamer.stream( 0 );
+  await once( streamer, 'chunkscheduled' );
+  ac.finish( last );
+
+  assert.deepEqual( ended, [] );
+  assert.equal( streamer.stopped, false );
+
+  ac.finish( ac.sources.at( -1 ) );
+
+  assert.deepEqual( ended, [ true ] );
+});
+
+// a stored track whose samples count up, so every one can be told apart
+async function counting( store, name, length ) {
+  const data = Float32Array.from( { length }, ( v, i ) => ( i + 1 ) / length );
+
+  await store.ingest( name, [ [ data ] ], { rate: RATE, channels: 1 } );
+
+  return data;
+}
+
+// the sources for the next `count` segments scheduled
+async function segments( ac, streamer, count ) {
+  const before = ac.sources.length;
+
+  for ( let i = 0; i < count; ++i ) {
+    await once( streamer, 'chunkscheduled' );
+  }
+
+  return ac.sources.slice( before ).filter( src => src.when !== null );
+}
+
+test( 'a loop wraps back to its start on the exact sample', async() => {
+  const { ac, store } = await setup();
+  const streamer = new Streamer( 'take1', store, { stored: true } );
+  const data     = await counting( store, 'take1', RATE * 2 );
+
+  await streamer.load();
+
+  assert.throws( () => streamer.setLoop( 1, 1 ), {
+    message: 'invalid loop 1s-1s'
+  });
+
+  ac.currentTime = 1;
+  streamer.setLoop( 0.5, 1.25 ).stream( 0 );
+
+  const srcs = await segments( ac, streamer, 3 );
+  const loop = data.subarray( RATE / 2, RATE * 1.25 );
+
+  // 1.5s in is a quarter of a second into the second pass
+  ac.currentTime = 2.5;
+
+  const position = streamer.currentTime();
+
+  streamer.stop();
+
+  assert.deepEqual( srcs.map( src => src.when ), [ 1, 2.25, 3 ] );
+  assert.deepEqual( srcs.map( src => src.buffer.getChannelData( 0 ) ), [
+    data.subarray( 0, RATE * 1.25 ), loop, loop
+  ]);
+  assert.equal( position, 0.75 );
+  assert.equal( streamer.startOffset, 0.75 );
+});
+
+test( 'a loop crossfades at an equal power', async() => {
+  const { ac, store } = await setup();
+  const streamer = new Streamer( 'take1', store, { stored: true } );
+  const data     = await counting( store, 'take1', RATE * 2 );
+
+  await streamer.load();
+
+  streamer.setLoop( 0.5, 1.25, { crossfade: 0.01 } ).stream( 0 );
+
+  const [ first, second ] = await segments( ac, streamer, 2 );
+  const fade = RATE * 0.01;
+
+  streamer.stop();
+  const out  = first.buffer.getChannelData( 0 );
+  const into = second.buffer.getChannelData( 0 );
+
+  // the first pass runs on past the end of the loop as it fades out
+  assert.equal( out.length, RATE * 1.25 + fade );
+  assert.equal( second.when, 1.25 );
+
+  for ( let j = 0; j < fade; ++j ) {
+    const gainOut = out[ RATE * 1.25 + j ] / data[ RATE * 1.25 + j ];
+    const gainIn  = into[ j ] / data[ RATE / 2 + j ];
+
+    assert.ok( Math.abs( gainOut * gainOut + gainIn * gainIn - 1 ) < 1e-5 );
+  }
+
+  // and the second pass is the loop, fading in and out again
+  assert.equal( into.length, RATE * 0.75 + fade );
+  assert.deepEqual(
+    into.subarray( fade, RATE * 0.75 ),
+    data.subarray( RATE / 2 + fade, RATE * 1.25 )
+  );
+});
+
+test( 'a loop past the end of the track is silent there', async() => {
+  const { ac, store } = await setup();
+  const streamer = new Streamer( 'take1', store, { stored: true } );
+  const data     = await counting( store, 'take1', RATE );
+
+  await streamer.load();
+
+  streamer.setLoop( 0.5, 1.5 ).stream( 0 );
+
+  const [ first, second ] = await segments( ac, streamer, 2 );
+  const played = first.buffer.getChannelData( 0 );
+
+  streamer.stop();
+
+  assert.deepEqual( played.subarray( 0, RATE ), data );
+  assert.deepEqual( played.subarray( RATE ), new Float32Array( RATE / 2 ) );
+  assert.equal( second.when, 1.5 );
+  assert.deepEqual(
+    second.buffer.getChannelData( 0 ).subarray( 0, RATE / 2 ),
+    data.subarray( RATE / 2 )
+  );
+});
@@ -0,0 +1,79 @@
+import assert   from 'node:assert/strict';
+import { test } from 'node:test';
+
+import AudioStore       from '../lib/audiostore.js';
+import MemoryDB         from '../lib/memorydb.js';
+import serializer       from '../lib/serializer.js';
+import WorkerSerializer from '../lib/workerserializer.js';
+
+console.info = () => {};
+
+// runs serializer calls on a later task, passing messages through a
+// structured clone (detaching anything transferred) like a real Worker
+class FakeWorker {
+
+  postMessage( message, transfer ) {
+    const { id, method, args } = structuredClone( message, { transfer } );
+
+    setTimeout( async() => {
+      const result = await serializer[ method ]( ...args );
+      this.onmessage({ data: structuredClone({ id, result }) });
+    });
+  }
+
+  terminate() {}
+
+}
+
+global.Worker = FakeWorker;
+
+test( 'merging in a worker transfers the chunks', async() => {
+  const worker = new WorkerSerializer();
+  const chunks = [
+    [ Float32Array.of( 0, 1, 2, 3 ) ],
+    [ Float32Array.of( 4, 5, 6, 7 ) ]
+  ];
+
+  const [ merged ] = await worker.merge( chunks, 2, 6 );
+
+  assert.deepEqual( merged, Float32Array.of( 2, 3, 4, 5 ) );
+  assert.equal( chunks[ 0 ][ 0 ].length, 0 );
+  assert.equal( chunks[ 1 ][ 0 ].length, 0 );
+});
+
+test( 'replies after a worker error are ignored', async() => {
+  const worker = new WorkerSerializer();
+  const merge  = worker.merge( [ [ Float32Array.of( 1 ) ] ], 0, 1 );
+
+  worker.worker.onerror({ message: 'out of memory' });
+
+  await assert.rejects( merge, /out of memory/ );
+
+  // the merge's own reply, which would throw if it wasn't ignored
+  await new Promise( resolve => setTimeout( resolve ) );
+});
+
+test( 'reads in worker mode leave cached chunks whole', async() => {
+  const db    = new MemoryDB();
+  const store = new AudioStore( null, {
+    db,
+    duration: 1,
+    worker: true,
+    cacheSize: 1
+  });
+
+  const samples = Float32Array.from( { length: 16000 }, ( v, i ) => i );
+
+  await store.init();
+  await store.ingest( 'ramp', [ [ samples.slice() ] ], {
+    rate: 8000,
+    channels: 1
+  });
+
+  for ( let i = 0; i < 2; ++i ) {
+    const [ read ] = await store.getSamples( 'ramp', 4000, 8000 );
+    assert.deepEqual( read, samples.subarray( 4000, 12000 ) );
+  }
+
+  assert.equal( store.cache.hits, 2 );
+});